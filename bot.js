@@ -5,6 +5,16 @@ const config = require('./config/config');
 // Services
 const priceFeeds = require('./services/priceFeeds');
 const alerts = require('./services/alerts');
+const priceHistory = require('./services/priceHistory');
+const candles = require('./services/candles');
+const notifier = require('./services/notifier');
+const orderBookAlerts = require('./services/orderBookAlerts');
+const activityAlerts = require('./services/activityAlerts');
+const newsWatch = require('./services/newsWatch');
+const alertHistory = require('./services/alertHistory');
+const delivery = require('./services/delivery');
+const symbolUniverse = require('./services/symbolUniverse');
+const symbolResolver = require('./services/symbolResolver');
 
 // Commands
 const commands = require('./commands');
@@ -12,9 +22,38 @@ const commands = require('./commands');
 // Initialize bot
 const bot = new TelegramBot(config.TELEGRAM_TOKEN, { polling: true });
 
+// Restore price history and candles before the feeds start appending to them
+priceHistory.loadHistory();
+priceHistory.startHistoryPersistence();
+candles.loadCandles();
+
+// Restore persisted alerts and subscriptions
+symbolResolver.loadSymbolResolver();
+alerts.loadAlerts();
+alertHistory.loadAlertHistory();
+notifier.loadNotifications();
+orderBookAlerts.loadOrderBookAlerts();
+activityAlerts.loadActivityAlerts();
+newsWatch.loadNewsWatch();
+
+// Stop pushing to chats that blocked the bot
+delivery.onChatBlocked(alerts.disableChat);
+delivery.onChatBlocked(notifier.disableChat);
+delivery.onChatBlocked(orderBookAlerts.disableChat);
+delivery.onChatBlocked(activityAlerts.disableChat);
+delivery.onChatBlocked(newsWatch.disableChat);
+
+// Poll and stream prices for every symbol an alert, auto-alert or activity subscription needs
+symbolUniverse.registerSymbolSource('alerts', alerts.getAlertSymbols);
+symbolUniverse.registerSymbolSource('auto-alerts', alerts.getAutoAlertSymbols);
+symbolUniverse.registerSymbolSource('activity', activityAlerts.getSubscribedSymbols);
+
 // Start price feeds
 priceFeeds.startRealTimePricePolling();
 
+// Persist candles and backfill holes in the tracked symbols' history
+candles.startCandleMaintenance(symbolUniverse.getTrackedSymbols);
+
 // Start alert monitoring
 alerts.startAlertMonitoring(
   bot, 
@@ -22,9 +61,29 @@ alerts.startAlertMonitoring(
   priceFeeds.getRealtimePrices
 );
 
+// Record where price went 1h/24h after each triggered alert
+alertHistory.startFollowUpTracking(entry => alerts.getAlertMarketData(entry, priceFeeds.getCachedCryptoData));
+
+// Sample order books for subscribed imbalance, sentiment and spread alerts
+orderBookAlerts.startOrderBookMonitoring(bot);
+
+// Scan the activity watchlist for subscribed chats
+activityAlerts.startActivityScanner(bot, priceFeeds.getCachedCryptoData);
+
+// Poll news sources for keyword matches
+newsWatch.startNewsWatch(bot);
+
+// Deliver digests and alerts held back during quiet hours
+notifier.startDigestDelivery(bot);
+
 // Register all commands
 commands.registerCommands(bot, priceFeeds, alerts);
 
+// Any message from a chat means it can be delivered to again
+bot.on('message', (msg) => {
+  delivery.markChatActive(msg.chat.id);
+});
+
 // Error handling
 bot.on('polling_error', (error) => {
   console.log('Polling error:', error);
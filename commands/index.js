@@ -1,16 +1,113 @@
 // Command Registration - All bot commands
-const { formatNumber } = require('../utils/helpers');
+const { formatNumber, formatDuration, parseDuration, escapeMarkdown } = require('../utils/helpers');
+const { parseAlertArgs, parseAutoAlertSettings, parseOrderBookAlertArgs, parseNewsWatchArgs } = require('../utils/alertParser');
 const config = require('../config/config');
 const news = require('../services/news');
+const notifier = require('../services/notifier');
+const orderBookSentiment = require('../services/orderBookSentiment');
+const orderBookAlerts = require('../services/orderBookAlerts');
+const activityAlerts = require('../services/activityAlerts');
+const newsWatch = require('../services/newsWatch');
+const exchangeQuotes = require('../services/exchangeQuotes');
+const alertHistory = require('../services/alertHistory');
+const symbolResolver = require('../services/symbolResolver');
 
 // Register all commands
 function registerCommands(bot, priceFeeds, alerts) {
   const { getCachedCryptoData, getCryptoData } = priceFeeds;
-  const { getPriceAlerts, getAutoAlerts } = alerts;
+  const {
+    getPriceAlerts,
+    getAutoAlerts,
+    saveAlerts,
+    buildAlert,
+    addAlert,
+    findAlert,
+    deleteAlert,
+    setAlertPaused,
+    editAlertTarget,
+    getAutoAlertSettings,
+    updateAutoAlertSettings,
+    resetAutoAlertSettings,
+    setAutoAlertsEnabled,
+    getVolatilityThresholds,
+    describeAlertTarget,
+    describeAlertOptions,
+    formatAlertValue,
+    getAlertMarketData
+  } = alerts;
   
   const priceAlerts = getPriceAlerts();
   const autoAlerts = getAutoAlerts();
 
+  // Ambiguous tickers waiting for an inline-button pick: token -> { msg, candidates, createdAt }
+  const pendingPicks = new Map();
+  let lastPickToken = 0;
+
+  const formatMarketCap = (value) => value >= 1e9 ? `$${(value / 1e9).toFixed(1)}B` : `$${(value / 1e6).toFixed(1)}M`;
+
+  // Resolve a ticker, coin name or contract address for a chat. Replies and returns null when nothing
+  // matches or the ticker is ambiguous; picking a button remembers the coin and replays the command.
+  const resolveCoin = async (msg, query) => {
+    const chatId = msg.chat.id;
+    const resolution = await symbolResolver.resolveSymbol(query, chatId);
+
+    if (resolution.status === 'not_found') {
+      bot.sendMessage(chatId, `❌ I couldn't find a coin matching **${escapeMarkdown(query)}**. Try its ticker, full name or contract address.`, { parse_mode: 'Markdown' });
+      return null;
+    }
+
+    if (resolution.status === 'ambiguous') {
+      const now = Date.now();
+      pendingPicks.forEach((pick, token) => {
+        if (now - pick.createdAt > config.SYMBOL_PICK_TIMEOUT) pendingPicks.delete(token);
+      });
+
+      const token = String(++lastPickToken);
+      pendingPicks.set(token, { msg, candidates: resolution.candidates, createdAt: now });
+
+      bot.sendMessage(chatId, `🤔 **${escapeMarkdown(resolution.symbol)}** matches several coins. Which one do you mean?`, {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: resolution.candidates.map((coin, index) => [{
+            text: `${coin.name} (${coin.symbol.toUpperCase()})${coin.marketCap ? ` · ${formatMarketCap(coin.marketCap)}` : ''}`,
+            callback_data: `pick:${token}:${index}`
+          }])
+        }
+      });
+      return null;
+    }
+
+    return { symbol: resolution.symbol, coinId: resolution.coin?.id };
+  };
+
+  // Inline-button pick for an ambiguous ticker
+  bot.on('callback_query', (query) => {
+    const match = /^pick:(\d+):(\d+)$/.exec(query.data || '');
+    if (!match) return;
+
+    const pending = pendingPicks.get(match[1]);
+    const coin = pending?.candidates[Number(match[2])];
+    if (!coin) {
+      bot.answerCallbackQuery(query.id, { text: 'This choice has expired. Please send the command again.' });
+      return;
+    }
+
+    pendingPicks.delete(match[1]);
+    const chatId = pending.msg.chat.id;
+    const symbol = coin.symbol.toUpperCase();
+    symbolResolver.rememberChoice(chatId, symbol, coin.id);
+
+    bot.answerCallbackQuery(query.id, { text: `${symbol} → ${coin.name}` });
+    bot.editMessageText(`✅ In this chat **${symbol}** now means **${coin.name}**. Change it with /coin forget ${symbol}.`, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown'
+    });
+
+    // The ticker resolves now, so run the command that asked
+    bot.processUpdate({ update_id: 0, message: pending.msg });
+  });
+
   // /start command
   bot.onText(/\/start/, (msg) => {
     const chatId = msg.chat.id;
@@ -25,6 +122,8 @@ I'm your cryptocurrency assistant. Here are some commands you can use:
 /alert <symbol> <price> - Set price alert (e.g., /alert BTC 50000)
 /autoalerts - Toggle automatic 3% volatility alerts
 /alerts - View your active alerts
+/alerthistory [symbol] - Every triggered alert with the move 1h/24h later
+/alertstats - Hit rate and follow-through per coin
 /settings - Bot settings
 
 Start by typing /help for more information!
@@ -41,12 +140,31 @@ Start by typing /help for more information!
 /start - Welcome message and basic info
 /help - Show this help message
 /crypto - Get general crypto information
-/price <symbol> - Get current price (e.g., /price BTC, /price ETH)
+/price <symbol> - Get current price (e.g., /price BTC, /price ethereum, or a contract address)
+/coin <symbol> - Which coin a ticker means in this chat; /coin lists your picks, /coin forget <symbol> clears one
 /news <symbol> - AI-powered news briefing with market activity ⚡
 /alert <symbol> <target_price> - Set intelligent price alert
+/alert <symbol> <+/-pct%> - Alert on a move from the current price (e.g., /alert ETH -10%)
+/alert <symbol> 24h <+/-pct%> - Alert on a rolling 24h move (e.g., /alert SOL 24h -8%)
+/alert <symbol> trail <pct%> - Trailing stop from the high (use +pct% to trail the low)
+/alert <coin>/<coin> <ratio> - Ratio alert between two coins (e.g., /alert ETH/BTC 0.05, /alert SOL/ETH +10%)
+/alert spread <symbol> <exchange> <exchange> <pct%> - Cross-exchange spread alert (e.g., /alert spread BTC binance kucoin 0.5%)
+/alert <symbol> > <price> AND <condition> - Compound rule (e.g., /alert BTC > 70000 AND volume24h > 2x avg, /alert ETH < 3000 AND orderbook bearish)
+   Add options: repeat [cooldown], expires <duration>, once per day, band <pct%>, near <pct%>, urgent (e.g., /alert BTC 70000 repeat 2h band 0.5% expires 7d, /alert ETH 4000 near 1%)
 /alerts - View your active alerts
+/delalert <n> - Delete a single alert
+/editalert <n> <price> - Change an alert's target price
+/pause <n> / /resume <n> - Pause or resume a single alert
 /clearalerts - Clear all alerts
 /autoalerts - Toggle automatic 3% volatility alerts
+/autoalerts set <pct%> <cooldown> <symbols> - Your own threshold, cooldown and coins (e.g., /autoalerts set 5% 30m BTC ETH)
+/autoalerts adaptive - Per-coin thresholds from each coin's own volatility
+/obalert <symbol> [imbalance <pct%>] [spread <pct%>] [flip] - Order book alerts (e.g., /obalert BTC imbalance 30% spread 0.2% flip)
+/obalerts - List order book alerts (/obalert <symbol> off to remove)
+/activity subscribe <symbols> - Push high-severity unusual activity (e.g., /activity subscribe BTC ETH), /activity unsubscribe, /activity list
+/newswatch <symbol> [keywords] - Breaking news alerts (e.g., /newswatch BTC ETF hack "spot approval"), /newswatch <symbol> off
+/quiet <HH:MM-HH:MM> [timezone] - Quiet hours (e.g., /quiet 23:00-07:00 Europe/Berlin), /quiet off
+/digest <window> - Bundle alerts into one message per window (e.g., /digest 30m), /digest off
 /settings - Configure bot settings
 /stop - Stop the bot
 
@@ -113,15 +231,29 @@ Digital currency secured by cryptography.
   // /price command
   bot.onText(/\/price (.+)/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const symbol = match[1].toUpperCase();
+    const coin = await resolveCoin(msg, match[1]);
+    if (!coin) return;
+
+    const { symbol } = coin;
     const loadingMsg = await bot.sendMessage(chatId, '⏳ Fetching real-time price data...');
 
     try {
-      const cryptoData = await getCachedCryptoData(symbol);
+      const cryptoData = await getCachedCryptoData(symbol, false, coin.coinId);
 
       if (cryptoData) {
         const changeEmoji = parseFloat(cryptoData.change24h) >= 0 ? '📈' : '📉';
         const changeSign = parseFloat(cryptoData.change24h) >= 0 ? '+' : '';
+
+        // Per-source quotes behind a consensus price, with discarded outliers marked
+        let sourcesText = '';
+        if (cryptoData.sources?.length > 1) {
+          const spreadText = cryptoData.sourceSpread !== null ? ` (spread ${cryptoData.sourceSpread.toFixed(3)}%)` : '';
+          sourcesText = `\n**Sources:** ${cryptoData.sources.length}${spreadText}\n` +
+            cryptoData.sources.map(source => source.outlier
+              ? `• ${source.source}: $${formatNumber(source.price)} ⚠️ discarded (${source.deviation > 0 ? '+' : ''}${source.deviation.toFixed(2)}% off median)`
+              : `• ${source.source}: $${formatNumber(source.price)}`
+            ).join('\n') + '\n';
+        }
         
         const priceMessage = `
 💰 **${symbol} Price Information**
@@ -130,8 +262,8 @@ Digital currency secured by cryptography.
 **24h Change:** ${changeEmoji} ${changeSign}${cryptoData.change24h}%
 **Market Cap:** $${formatNumber(cryptoData.marketCap)}
 **24h Volume:** $${formatNumber(cryptoData.volume24h)}
-
-*Data provided by CoinGecko API*
+${sourcesText}
+*Source: ${cryptoData.source || 'coingecko'}*
 *Last updated: ${new Date().toLocaleTimeString()}*
         `;
         
@@ -164,15 +296,56 @@ Digital currency secured by cryptography.
     bot.sendMessage(chatId, 'Please specify a cryptocurrency symbol. Example: /price BTC');
   });
 
+  // /coin command - show, list or forget which coin a ticker means in this chat
+  bot.onText(/^\/coin(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim();
+
+    if (!args) {
+      const choices = Object.entries(symbolResolver.getChatChoices(chatId));
+      if (choices.length === 0) {
+        bot.sendMessage(chatId, '🪙 No coin picks yet. When a ticker matches several coins I\'ll ask which one you mean.\n\nLook one up with /coin <symbol>');
+        return;
+      }
+
+      const lines = choices.map(([symbol, coinId]) => `• **${symbol}** → ${symbolResolver.getCoin(coinId)?.name || coinId}`);
+      bot.sendMessage(chatId, `🪙 **Your Coin Picks**\n\n${lines.join('\n')}\n\n💡 /coin forget <symbol> to be asked again`, { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const forgetMatch = /^forget\s+(\S+)$/i.exec(args);
+    if (forgetMatch) {
+      const symbol = forgetMatch[1].toUpperCase();
+      bot.sendMessage(chatId, symbolResolver.forgetChoice(chatId, symbol)
+        ? `🗑️ Forgot your pick for ${symbol}. You'll be asked again next time it's ambiguous.`
+        : `❌ You haven't picked a coin for ${symbol}.`);
+      return;
+    }
+
+    const coin = await resolveCoin(msg, args);
+    if (!coin) return;
+
+    const details = coin.coinId ? symbolResolver.getCoin(coin.coinId) : null;
+    bot.sendMessage(chatId,
+      `🪙 **${coin.symbol}** → ${details?.name || coin.coinId || 'unverified (coin list unavailable)'}\n` +
+      (coin.coinId ? `**CoinGecko id:** ${coin.coinId}\n` : '') +
+      `\n💡 /price ${coin.symbol} for market data`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+
   // /news command
   bot.onText(/\/news (.+)/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const symbol = match[1].toUpperCase();
+    const coin = await resolveCoin(msg, match[1]);
+    if (!coin) return;
+
+    const { symbol } = coin;
 
     const loadingMsg = await bot.sendMessage(chatId, `📊 **${symbol} PREMIUM BRIEFING IN PROGRESS**\n\n⏳ **Step 1:** Sourcing premium data...\n🔍 **Step 2:** Quality filtering...\n🤖 **Step 3:** ChatGPT analysis...\n📰 **Step 4:** Generating briefing...`);
 
     try {
-      const newsData = await news.aggregateQualityNews(symbol, getCachedCryptoData);
+      const newsData = await news.aggregateQualityNews(symbol, getCachedCryptoData, coin.coinId);
       
       await bot.editMessageText(`📊 **${symbol} PREMIUM BRIEFING IN PROGRESS**\n\n✅ **Step 1:** Sourcing premium data...\n⏳ **Step 2:** Quality filtering...\n🤖 **Step 3:** ChatGPT analysis...\n📰 **Step 4:** Generating briefing...`, {
         chat_id: chatId,
@@ -224,24 +397,55 @@ Digital currency secured by cryptography.
   });
 
   // /alert command
-  bot.onText(/\/alert (.+) (.+)/, async (msg, match) => {
+  bot.onText(/\/alert (.+)/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const symbol = match[1].toUpperCase();
-    const targetPrice = parseFloat(match[2]);
+    const definition = parseAlertArgs(match[1]);
 
-    if (isNaN(targetPrice)) {
-      bot.sendMessage(chatId, '❌ Invalid price. Please provide a valid number for the target price.');
+    if (definition.error) {
+      bot.sendMessage(chatId, `❌ ${definition.error}`);
       return;
     }
 
+    if (definition.valueType === 'spread') {
+      const unsupported = definition.exchanges.filter(exchange => !exchangeQuotes.getSupportedExchanges().includes(exchange));
+      if (unsupported.length > 0) {
+        bot.sendMessage(chatId, `❌ Unknown exchange "${unsupported[0]}". Supported: ${exchangeQuotes.getSupportedExchanges().join(', ')}`);
+        return;
+      }
+    } else if (definition.valueType === 'ratio') {
+      const base = await resolveCoin(msg, definition.base);
+      if (!base) return;
+      const quote = await resolveCoin(msg, definition.quote);
+      if (!quote) return;
+
+      Object.assign(definition, {
+        symbol: `${base.symbol}/${quote.symbol}`,
+        base: base.symbol,
+        quote: quote.symbol,
+        baseCoinId: base.coinId,
+        quoteCoinId: quote.coinId
+      });
+    } else {
+      const coin = await resolveCoin(msg, definition.symbol);
+      if (!coin) return;
+
+      definition.symbol = coin.symbol;
+      definition.coinId = coin.coinId;
+    }
+
+    const { symbol } = definition;
+
     const loadingMsg = await bot.sendMessage(chatId, '⏳ Verifying cryptocurrency symbol...');
 
     try {
-      const cryptoData = await getCryptoData(symbol);
+      const cryptoData = await getAlertMarketData(definition, (coinSymbol, forceRefresh, coinId) => getCryptoData(coinSymbol, coinId));
 
       if (!cryptoData) {
+        const notFound = definition.valueType === 'spread'
+          ? `❌ Sorry, I couldn't get **${symbol}** quotes from both ${definition.exchanges.join(' and ')}. Check that both exchanges list ${symbol}/USDT.`
+          : `❌ Sorry, I couldn't find data for **${symbol}**. Please check the symbol and try again.\n\nSupported symbols: BTC, ETH, SOL, XRP`;
         bot.editMessageText(
-          `❌ Sorry, I couldn't find data for **${symbol}**. Please check the symbol and try again.\n\nSupported symbols: BTC, ETH, SOL, XRP`,
+          notFound,
           {
             chat_id: chatId,
             message_id: loadingMsg.message_id,
@@ -251,32 +455,53 @@ Digital currency secured by cryptography.
         return;
       }
 
-      if (!priceAlerts[chatId]) {
-        priceAlerts[chatId] = [];
+      const alert = buildAlert(definition, cryptoData);
+
+      if (!alert) {
+        bot.editMessageText(`❌ Sorry, ${definition.window} change data for ${symbol} is unavailable right now. Please try again later.`, {
+          chat_id: chatId,
+          message_id: loadingMsg.message_id
+        });
+        return;
       }
 
-      priceAlerts[chatId].push({
-        symbol: symbol,
-        targetPrice: targetPrice,
-        currentPrice: cryptoData.price,
-        timestamp: new Date(),
-        alertId: `${symbol}_${targetPrice}_${Date.now()}`,
-        status: 'active'
-      });
+      addAlert(chatId, alert);
 
-      const currentPrice = formatNumber(cryptoData.price);
-      const targetFormatted = formatNumber(targetPrice);
-      const direction = targetPrice > cryptoData.price ? 'above' : 'below';
-      const percentage = Math.abs(((targetPrice - cryptoData.price) / cryptoData.price) * 100).toFixed(2);
+      const currentPrice = formatAlertValue(alert, cryptoData.price);
+      const targetFormatted = formatAlertValue(alert, alert.targetPrice);
+      const direction = alert.targetPrice > cryptoData.price ? 'above' : 'below';
+      const percentage = Math.abs(((alert.targetPrice - cryptoData.price) / cryptoData.price) * 100).toFixed(2);
+      const valueLabel = alert.valueType === 'ratio' ? 'Ratio' : alert.valueType === 'spread' ? 'Spread' : 'Price';
+      let ruleLine = '';
+      let closingLine = `I'll notify you when ${symbol} reaches ${targetFormatted}!`;
+
+      if (alert.type === 'trailing') {
+        const extremeLabel = alert.trailSide === 'high' ? 'highest' : 'lowest';
+        ruleLine = `**Rule:** trailing ${alert.trailPercent}% from the ${extremeLabel} price\n`;
+        closingLine = `I'll track the ${extremeLabel} price and notify you on a ${alert.trailPercent}% retrace.`;
+      } else if (alert.type === 'compound') {
+        ruleLine = `**Rule:** ${describeAlertTarget(alert)}\n`;
+        closingLine = `I'll notify you when ${symbol} reaches ${targetFormatted} and every condition holds.`;
+      } else if (alert.valueType === 'spread') {
+        ruleLine = `**Rule:** ${describeAlertTarget(alert)}\n`;
+        closingLine = `I'll notify you when ${symbol} prices on ${alert.exchanges.join(' and ')} differ by ${targetFormatted} or more.`;
+      } else if (alert.window) {
+        ruleLine = `**Rule:** ${alert.percent > 0 ? '+' : ''}${alert.percent}% over rolling ${alert.window}\n`;
+      }
+
+      const options = describeAlertOptions(alert);
+      const optionsLine = options ? `**Options:** ${options}\n` : '';
 
       bot.editMessageText(
-        `✅ **Alert Set Successfully!**\n\n` +
+        `✅ **Alert #${alert.number} Set Successfully!**\n\n` +
         `**Symbol:** ${symbol}\n` +
-        `**Current Price:** $${currentPrice}\n` +
-        `**Target Price:** $${targetFormatted}\n` +
-        `**Direction:** ${direction} current price\n` +
+        `**Current ${valueLabel}:** ${currentPrice}\n` +
+        `**Target ${valueLabel}:** ${targetFormatted}\n` +
+        ruleLine +
+        optionsLine +
+        `**Direction:** ${direction} current ${valueLabel.toLowerCase()}\n` +
         `**Difference:** ${percentage}%\n\n` +
-        `I'll notify you when ${symbol} reaches $${targetFormatted}!`,
+        closingLine,
         {
           chat_id: chatId,
           message_id: loadingMsg.message_id,
@@ -294,11 +519,11 @@ Digital currency secured by cryptography.
 
   bot.onText(/^\/alert$/, (msg) => {
     const chatId = msg.chat.id;
-    bot.sendMessage(chatId, 'Please specify symbol and target price. Example: /alert BTC 50000');
+    bot.sendMessage(chatId, 'Please specify symbol and target. Examples: /alert BTC 50000, /alert ETH -10%, /alert SOL 24h -8%');
   });
 
   // /alerts command
-  bot.onText(/\/alerts/, (msg) => {
+  bot.onText(/^\/alerts$/, (msg) => {
     const chatId = msg.chat.id;
 
     if (!priceAlerts[chatId] || priceAlerts[chatId].length === 0) {
@@ -307,37 +532,75 @@ Digital currency secured by cryptography.
     }
 
     const activeAlerts = priceAlerts[chatId].filter(alert => alert.status === 'active');
+    const pausedAlerts = priceAlerts[chatId].filter(alert => alert.status === 'paused');
     const triggeredAlerts = priceAlerts[chatId].filter(alert => alert.status === 'triggered');
+    const expiredAlerts = priceAlerts[chatId].filter(alert => alert.status === 'expired');
+
+    const formatOpenAlert = (alert) => {
+      const currentPrice = formatAlertValue(alert, alert.currentPrice);
+      const setTime = new Date(alert.timestamp).toLocaleString();
+      const options = describeAlertOptions(alert);
+
+      let line = `#${alert.number} **${alert.symbol}** ${describeAlertTarget(alert)}\n`;
+      if (options) {
+        line += `   ${options}\n`;
+      }
+      if (alert.deliveryStatus === 'failed') {
+        line += `   ⚠️ Last notification could not be delivered - it will fire again\n`;
+      } else if (alert.deliveryStatus === 'rejected') {
+        line += `   ⚠️ Paused: Telegram rejected its last notification - /resume ${alert.number} to try again\n`;
+      }
+      line += `   Set when: ${currentPrice} | Time: ${setTime}\n\n`;
+      return line;
+    };
 
     let message = '📋 **Your Alert Status**\n\n';
 
     if (activeAlerts.length > 0) {
       message += `🔔 **Active Alerts (${activeAlerts.length})**\n`;
-      activeAlerts.forEach((alert, index) => {
-        const direction = alert.targetPrice > alert.currentPrice ? '📈 ABOVE' : '📉 BELOW';
-        const currentPrice = alert.currentPrice.toFixed(2);
-        const targetPrice = alert.targetPrice.toFixed(2);
-        const setTime = new Date(alert.timestamp).toLocaleString();
-
-        message += `${index + 1}. **${alert.symbol}** ${direction} $${targetPrice}\n`;
-        message += `   Set when: $${currentPrice} | Time: ${setTime}\n\n`;
+      activeAlerts.forEach(alert => {
+        message += formatOpenAlert(alert);
       });
     } else {
       message += '🔔 **No active alerts**\n\n';
     }
 
+    if (pausedAlerts.length > 0) {
+      message += `⏸ **Paused Alerts (${pausedAlerts.length})**\n`;
+      pausedAlerts.forEach(alert => {
+        message += formatOpenAlert(alert);
+      });
+    }
+
     if (triggeredAlerts.length > 0) {
       message += `✅ **Triggered Alerts (${triggeredAlerts.length})**\n`;
-      triggeredAlerts.slice(-3).forEach((alert, index) => {
+      triggeredAlerts.slice(-3).forEach(alert => {
         const triggerTime = alert.triggerTime ? new Date(alert.triggerTime).toLocaleString() : 'Unknown';
-        const triggerPrice = alert.triggerPrice ? alert.triggerPrice.toFixed(2) : 'Unknown';
+        const triggerPrice = alert.triggerPrice ? formatAlertValue(alert, alert.triggerPrice) : 'Unknown';
+
+        const deliveryNote = alert.deliveryStatus === 'deferred' ? ' (held for digest)' : '';
 
-        message += `${index + 1}. **${alert.symbol}** triggered at $${triggerPrice}\n`;
+        message += `#${alert.number} **${alert.symbol}** triggered at ${triggerPrice}${deliveryNote}\n`;
         message += `   Time: ${triggerTime}\n\n`;
       });
     }
 
+    if (expiredAlerts.length > 0) {
+      message += `⌛ **Expired Alerts (${expiredAlerts.length})**\n`;
+      expiredAlerts.slice(-3).forEach(alert => {
+        const expireTime = alert.expireTime ? new Date(alert.expireTime).toLocaleString() : 'Unknown';
+
+        message += `#${alert.number} **${alert.symbol}** ${describeAlertTarget(alert)}\n`;
+        message += `   Expired: ${expireTime}\n\n`;
+      });
+    }
+
+    if (triggeredAlerts.length > 3) {
+      message += '📒 *Full log: /alerthistory*\n\n';
+    }
+
     message += '💡 *Alerts are checked every 30 seconds*\n';
+    message += '✏️ *Manage one alert: /delalert, /editalert, /pause, /resume <number>*\n';
     message += '🗑️ *Use /clearalerts to remove all alerts*';
 
     bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -350,61 +613,556 @@ Digital currency secured by cryptography.
     if (priceAlerts[chatId]) {
       const alertCount = priceAlerts[chatId].length;
       delete priceAlerts[chatId];
+      saveAlerts();
       bot.sendMessage(chatId, `🗑️ **Cleared ${alertCount} alert(s)**\n\nUse \`/alert SYMBOL PRICE\` to set new alerts.`, { parse_mode: 'Markdown' });
     } else {
       bot.sendMessage(chatId, '📋 **No alerts to clear**');
     }
   });
 
-  // /autoalerts command
-  bot.onText(/\/autoalerts/, (msg) => {
+  // Follow-up move after a trigger, e.g. "+1.20% ✅" (continued) or "-0.80% ↩️" (reversed)
+  const describeFollowUp = (entry, label) => {
+    if (entry.followUps[label] === undefined) return `${label}: ⏳`;
+
+    const followThrough = alertHistory.getFollowThrough(entry, label);
+    if (followThrough === null) return `${label}: n/a`;
+
+    const sign = followThrough >= 0 ? '+' : '';
+    return `${label}: ${sign}${followThrough.toFixed(2)}% ${followThrough > 0 ? '✅' : '↩️'}`;
+  };
+
+  // /alerthistory command - every triggered alert with time-to-trigger and follow-up moves
+  bot.onText(/^\/alerthistory(?:\s+(.+))?$/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const tokens = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const pageToken = tokens.find(token => /^\d+$/.test(token));
+    const symbol = tokens.find(token => token !== pageToken)?.toUpperCase();
+    const pageSize = 10;
+
+    const entries = alertHistory.getTriggerHistory(chatId, symbol);
+    if (entries.length === 0) {
+      bot.sendMessage(chatId, `📒 **No triggered alerts${symbol ? ` for ${symbol}` : ''} yet**\n\nFired alerts are logged here with where price went 1h and 24h later.`, { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const pageCount = Math.ceil(entries.length / pageSize);
+    const page = Math.min(Math.max(parseInt(pageToken || '1', 10), 1), pageCount);
+
+    let message = `📒 **Alert History${symbol ? `: ${symbol}` : ''}** (${entries.length} triggered)\n\n`;
+
+    entries.slice((page - 1) * pageSize, page * pageSize).forEach(entry => {
+      const triggeredAt = new Date(entry.triggeredAt).toLocaleString();
+
+      message += `#${entry.number} **${entry.symbol}** ${entry.target}\n`;
+      message += `   🎯 Hit ${formatAlertValue(entry, entry.triggerPrice)} after ${formatDuration(entry.timeToTrigger)} | ${triggeredAt}\n`;
+      message += `   ${alertHistory.FOLLOW_UPS.map(({ label }) => describeFollowUp(entry, label)).join(' · ')}\n\n`;
+    });
+
+    message += `✅ *kept moving in the alert's direction* · ↩️ *reversed* · ⏳ *pending*\n`;
+    if (pageCount > 1) {
+      message += `📄 Page ${page}/${pageCount} - /alerthistory ${symbol ? `${symbol} ` : ''}<page>\n`;
+    }
+    message += `📊 Per-coin hit rates: /alertstats`;
+
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  });
+
+  // /alertstats command - per-symbol hit rate and follow-through
+  bot.onText(/^\/alertstats$/, (msg) => {
+    const chatId = msg.chat.id;
+    const stats = alertHistory.getAlertStats(chatId);
+
+    if (stats.length === 0) {
+      bot.sendMessage(chatId, '📊 **No alert statistics yet**\n\nStats build up as your alerts fire or expire.', { parse_mode: 'Markdown' });
+      return;
+    }
+
+    let message = '📊 **Alert Performance**\n\n';
+
+    stats.forEach(stat => {
+      message += `**${stat.symbol}** - ${stat.triggers} trigger(s)\n`;
+      if (stat.hitRate !== null) {
+        message += `   🎯 Hit rate: ${stat.hitRate.toFixed(0)}% (${stat.hits}/${stat.hits + stat.expired} alerts reached target)\n`;
+      }
+      if (stat.medianTimeToTrigger !== null) {
+        message += `   ⏱ Median time to trigger: ${formatDuration(stat.medianTimeToTrigger)}\n`;
+      }
+
+      const followUpLines = alertHistory.FOLLOW_UPS
+        .filter(({ label }) => stat.followUps[label].total > 0)
+        .map(({ label }) => {
+          const { total, continued, averageMove } = stat.followUps[label];
+          const sign = averageMove >= 0 ? '+' : '';
+          return `${label}: continued ${continued}/${total} (avg ${sign}${averageMove.toFixed(2)}%)`;
+        });
+      if (followUpLines.length > 0) {
+        message += `   📈 ${followUpLines.join(' · ')}\n`;
+      }
+      message += '\n';
+    });
+
+    message += '💡 *Hit rate counts alerts that fired vs. expired unfired; moves are measured in the alert\'s direction*';
+
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  });
+
+  // /delalert command
+  bot.onText(/\/delalert (.+)/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const alert = deleteAlert(chatId, match[1]);
+
+    if (!alert) {
+      bot.sendMessage(chatId, `❌ Alert ${match[1].trim()} not found. Use /alerts to see alert numbers.`);
+      return;
+    }
+
+    bot.sendMessage(chatId, `🗑️ **Deleted alert #${alert.number}**\n\n${alert.symbol} ${describeAlertTarget(alert)}`, { parse_mode: 'Markdown' });
+  });
+
+  bot.onText(/^\/delalert$/, (msg) => {
     const chatId = msg.chat.id;
+    bot.sendMessage(chatId, 'Please specify the alert number. Example: /delalert 3');
+  });
+
+  // /editalert command
+  bot.onText(/\/editalert (.+)/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const [reference, priceToken] = match[1].trim().split(/\s+/);
+    const targetPrice = parseFloat((priceToken || '').replace(/^\$/, ''));
+
+    if (isNaN(targetPrice)) {
+      bot.sendMessage(chatId, '❌ Invalid price. Example: /editalert 3 52000');
+      return;
+    }
+
+    const existing = findAlert(chatId, reference);
+    if (!existing) {
+      bot.sendMessage(chatId, `❌ Alert ${reference} not found. Use /alerts to see alert numbers.`);
+      return;
+    }
+
+    try {
+      const cryptoData = await getAlertMarketData(existing, getCachedCryptoData);
+      if (!cryptoData) {
+        bot.sendMessage(chatId, `❌ Sorry, I couldn't fetch the current ${existing.symbol} value. Please try again later.`);
+        return;
+      }
+
+      const result = editAlertTarget(chatId, reference, targetPrice, cryptoData.price);
+      if (result.error) {
+        bot.sendMessage(chatId, `❌ ${result.error}`);
+        return;
+      }
+
+      bot.sendMessage(chatId,
+        `✏️ **Updated alert #${result.alert.number}**\n\n` +
+        `${result.alert.symbol} ${describeAlertTarget(result.alert)}\n` +
+        `Current value: ${formatAlertValue(result.alert, cryptoData.price)}`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      console.error('Error in /editalert command:', error);
+      bot.sendMessage(chatId, '❌ Sorry, there was an error updating the alert. Please try again later.');
+    }
+  });
+
+  bot.onText(/^\/editalert$/, (msg) => {
+    const chatId = msg.chat.id;
+    bot.sendMessage(chatId, 'Please specify the alert number and new price. Example: /editalert 3 52000');
+  });
+
+  // /pause and /resume commands
+  bot.onText(/\/(pause|resume) (.+)/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const paused = match[1] === 'pause';
+    const result = setAlertPaused(chatId, match[2], paused);
+
+    if (result.error) {
+      bot.sendMessage(chatId, `❌ ${result.error} Use /alerts to see alert numbers.`);
+      return;
+    }
+
+    const header = paused ? `⏸ **Paused alert #${result.alert.number}**` : `▶️ **Resumed alert #${result.alert.number}**`;
+    bot.sendMessage(chatId, `${header}\n\n${result.alert.symbol} ${describeAlertTarget(result.alert)}`, { parse_mode: 'Markdown' });
+  });
+
+  bot.onText(/^\/(pause|resume)$/, (msg, match) => {
+    const chatId = msg.chat.id;
+    bot.sendMessage(chatId, `Please specify the alert number. Example: /${match[1]} 3`);
+  });
+
+  // Describe a chat's auto-alert settings for replies
+  const describeAutoAlertSettings = (chatId) => {
+    const settings = getAutoAlertSettings(chatId);
     const realtimePrices = priceFeeds.getRealtimePrices();
+    const trackedSymbols = settings.symbols.length > 0 ? settings.symbols : config.CORE_SYMBOLS;
+    const describeSymbol = (symbol) => {
+      if (!realtimePrices.has(symbol)) return `• ${symbol} (no live feed yet)`;
+      if (!settings.adaptive) return `• ${symbol}`;
+
+      const thresholds = getVolatilityThresholds(symbol, settings);
+      if (!thresholds.some(window => window.adaptive)) return `• ${symbol} (learning, ±${settings.threshold}%)`;
+      return `• ${symbol}: ${thresholds.map(window => `${window.label} ±${window.threshold.toFixed(1)}%`).join(' · ')}`;
+    };
+    const symbolList = trackedSymbols.length > 0
+      ? trackedSymbols.map(describeSymbol).join('\n')
+      : '• Loading...';
+    const thresholdText = settings.adaptive
+      ? `adaptive (${config.ADAPTIVE_SIGMA_MULTIPLIER}σ of each coin's realized volatility, ±${settings.threshold}% while learning)`
+      : `±${settings.threshold}%`;
+
+    return {
+      settings,
+      trackedSymbols,
+      text:
+        `**Threshold:** ${thresholdText}\n` +
+        `**Cooldown:** ${formatDuration(settings.cooldown)} per coin\n` +
+        `**Coins:** ${settings.symbols.length > 0 ? 'your selection' : 'core coins'}\n\n` +
+        `${symbolList}`
+    };
+  };
+
+  // /autoalerts command
+  bot.onText(/^\/autoalerts$/, (msg) => {
+    const chatId = msg.chat.id;
     
     if (autoAlerts.enabled[chatId]) {
-      autoAlerts.enabled[chatId] = false;
+      setAutoAlertsEnabled(chatId, false);
       bot.sendMessage(chatId, 
         `🔕 **Auto-Volatility Alerts Disabled**\n\n` +
-        `You will no longer receive automatic notifications for 3% price moves.\n\n` +
+        `You will no longer receive automatic notifications for ±${getAutoAlertSettings(chatId).threshold}% price moves.\n\n` +
         `Use \`/autoalerts\` to enable again.`,
         { parse_mode: 'Markdown' }
       );
     } else {
-      autoAlerts.enabled[chatId] = true;
-      
-      const trackedSymbols = Array.from(realtimePrices.keys()).sort();
-      const symbolList = trackedSymbols.length > 0 ? trackedSymbols.map(s => `• ${s}`).join('\n') : '• Loading...';
+      setAutoAlertsEnabled(chatId, true);
+      const { settings, trackedSymbols, text } = describeAutoAlertSettings(chatId);
       
       bot.sendMessage(chatId,
         `🔔 **Auto-Volatility Alerts Enabled**\n\n` +
-        `You'll be notified when any of these cryptos move ±3% or more:\n\n` +
-        `${symbolList}\n\n` +
+        `You'll be notified when any of these cryptos move ${settings.adaptive ? 'beyond their adaptive threshold' : `±${settings.threshold}% or more`}:\n\n` +
+        `${text}\n\n` +
         `**Features:**\n` +
         `• Real-time monitoring (10 second updates)\n` +
-        `• 1 hour cooldown between alerts per coin\n` +
+        `• Rolling windows: ${config.AUTO_ALERT_WINDOWS.join(', ')}\n` +
+        `• ${formatDuration(settings.cooldown)} cooldown between alerts per coin\n` +
         `• Zero API calls - uses cached real-time data\n` +
         `• Works 24/7 in the background\n\n` +
         `💡 Currently tracking **${trackedSymbols.length} coins** with live price feeds!\n\n` +
-        `Use \`/autoalerts\` to disable.`,
+        `Customize with \`/autoalerts set 5% 30m BTC ETH\` or \`/autoalerts adaptive\`. Use \`/autoalerts\` to disable.`,
+        { parse_mode: 'Markdown' }
+      );
+    }
+  });
+
+  // /autoalerts set|adaptive|reset subcommands
+  bot.onText(/\/autoalerts (.+)/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const [subcommand, ...args] = match[1].trim().split(/\s+/);
+
+    if (subcommand.toLowerCase() === 'set') {
+      const changes = parseAutoAlertSettings(args);
+      if (changes.error) {
+        bot.sendMessage(chatId, `❌ ${changes.error}`);
+        return;
+      }
+
+      updateAutoAlertSettings(chatId, changes);
+      bot.sendMessage(chatId,
+        `⚙️ **Auto-Volatility Alerts Updated**\n\n${describeAutoAlertSettings(chatId).text}\n\n` +
+        `Use \`/autoalerts reset\` to restore defaults.`,
+        { parse_mode: 'Markdown' }
+      );
+    } else if (subcommand.toLowerCase() === 'adaptive') {
+      const mode = (args[0] || '').toLowerCase();
+      if (mode && mode !== 'on' && mode !== 'off') {
+        bot.sendMessage(chatId, 'Usage: /autoalerts adaptive [on|off]');
+        return;
+      }
+
+      const adaptive = mode ? mode === 'on' : !getAutoAlertSettings(chatId).adaptive;
+      updateAutoAlertSettings(chatId, { adaptive });
+      bot.sendMessage(chatId,
+        `${adaptive ? '📐 **Adaptive Thresholds On**' : '📏 **Adaptive Thresholds Off**'}\n\n` +
+        `${describeAutoAlertSettings(chatId).text}\n\n` +
+        (adaptive
+          ? `Each coin alerts on moves larger than ${config.ADAPTIVE_SIGMA_MULTIPLIER}× its typical swing for the window, measured over the last ${formatDuration(config.ADAPTIVE_LOOKBACK)}.`
+          : `Back to your flat threshold. Use \`/autoalerts adaptive\` to turn it on again.`),
+        { parse_mode: 'Markdown' }
+      );
+    } else if (subcommand.toLowerCase() === 'reset') {
+      resetAutoAlertSettings(chatId);
+      bot.sendMessage(chatId,
+        `♻️ **Auto-Volatility Settings Reset**\n\n${describeAutoAlertSettings(chatId).text}`,
+        { parse_mode: 'Markdown' }
+      );
+    } else {
+      bot.sendMessage(chatId, 'Usage: /autoalerts set <pct%> <cooldown> <symbols...> (e.g., /autoalerts set 5% 30m BTC ETH SOL), /autoalerts adaptive [on|off], /autoalerts reset');
+    }
+  });
+
+  // /obalert command - watch a symbol's order book for imbalance, sentiment flips and thin liquidity
+  bot.onText(/^\/obalert(?:\s+(.+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const tokens = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+    if (tokens.length === 2 && tokens[1].toLowerCase() === 'off') {
+      const symbol = tokens[0].toUpperCase();
+      bot.sendMessage(chatId, orderBookAlerts.removeOrderBookWatch(chatId, symbol)
+        ? `🗑️ Stopped watching the ${symbol} order book.`
+        : `❌ You are not watching the ${symbol} order book. Use /obalerts to see your watches.`);
+      return;
+    }
+
+    const watch = parseOrderBookAlertArgs(tokens, { imbalance: config.ORDERBOOK_ALERT_IMBALANCE });
+    if (watch.error) {
+      bot.sendMessage(chatId, `❌ ${watch.error}`);
+      return;
+    }
+
+    const loadingMsg = await bot.sendMessage(chatId, `⏳ Checking the ${watch.symbol} order book...`);
+    const orderBook = await orderBookSentiment.analyzeOrderBook(watch.symbol);
+
+    if (!orderBook) {
+      bot.editMessageText(`❌ No order book found for ${watch.symbol} on Binance, KuCoin or Gate.io.`, {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id
+      });
+      return;
+    }
+
+    const saved = orderBookAlerts.setOrderBookWatch(chatId, watch);
+    const spreadText = orderBook.spreadPercent !== null ? `${(orderBook.spreadPercent * 100).toFixed(3)}%` : 'n/a';
+
+    bot.editMessageText(
+      `📚 **Order Book Alert Set: ${saved.symbol}**\n\n` +
+      `**Triggers:** ${orderBookAlerts.describeOrderBookWatch(saved)}\n\n` +
+      `**Now:** ${orderBook.sentiment}, imbalance ${(orderBook.imbalance * 100).toFixed(1)}%, spread ${spreadText} (${orderBook.exchange})\n\n` +
+      `Sampled every ${formatDuration(config.ORDERBOOK_ALERT_INTERVAL)}; you'll hear when a trigger starts, not on every sample.\n` +
+      `Use \`/obalert ${saved.symbol} off\` to stop.`,
+      {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id,
+        parse_mode: 'Markdown'
+      }
+    );
+  });
+
+  // /obalerts command - list order book watches
+  bot.onText(/^\/obalerts$/, (msg) => {
+    const chatId = msg.chat.id;
+    const chatWatches = orderBookAlerts.getOrderBookWatches(chatId);
+
+    if (chatWatches.length === 0) {
+      bot.sendMessage(chatId, '📚 No order book alerts.\n\nExample: /obalert BTC imbalance 30% spread 0.2% flip');
+      return;
+    }
+
+    const lines = chatWatches.map(watch => {
+      const sentiment = watch.state ? ` - now ${watch.state.sentiment}` : ' - waiting for first sample';
+      return `• **${watch.symbol}**: ${orderBookAlerts.describeOrderBookWatch(watch)}${sentiment}`;
+    });
+
+    bot.sendMessage(chatId,
+      `📚 **Order Book Alerts**\n\n${lines.join('\n')}\n\n💡 \`/obalert <symbol> off\` to remove one`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+
+  // /activity command - subscribe to pushed unusual-activity findings
+  bot.onText(/^\/activity(?:\s+(.+))?$/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const [subcommand = 'list', ...args] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const symbols = args.map(symbol => symbol.toUpperCase());
+    const watchlist = config.ACTIVITY_WATCHLIST.join(', ');
+
+    if (subcommand.toLowerCase() === 'subscribe') {
+      if (symbols.length === 0) {
+        bot.sendMessage(chatId, `Please specify symbols. Example: /activity subscribe BTC ETH\n\nScanned coins: ${watchlist}`);
+        return;
+      }
+
+      const { accepted, rejected, symbols: subscribed } = activityAlerts.subscribeActivity(chatId, symbols);
+      const rejectedNote = rejected.length > 0
+        ? `\n\n⚠️ Not on the scan watchlist: ${rejected.join(', ')}\nScanned coins: ${watchlist}`
+        : '';
+
+      bot.sendMessage(chatId,
+        (accepted.length > 0
+          ? `🔎 **Activity Alerts On**\n\n**Watching:** ${subscribed.join(', ')}\n\n` +
+            `Every ${formatDuration(config.ACTIVITY_SCAN_INTERVAL)} the unusual-activity detector scans these coins. ` +
+            `${config.ACTIVITY_MIN_SEVERITY === 'high' ? 'High-severity' : `${config.ACTIVITY_MIN_SEVERITY}+ severity`} findings ` +
+            `(volume spikes, exchange concentration, panic selling...) are pushed here, each type at most once per ${formatDuration(config.ACTIVITY_DEDUPE_WINDOW)}.`
+          : '❌ No coins subscribed.') +
+        rejectedNote,
+        { parse_mode: 'Markdown' }
+      );
+    } else if (subcommand.toLowerCase() === 'unsubscribe') {
+      const remaining = activityAlerts.unsubscribeActivity(chatId, symbols);
+      bot.sendMessage(chatId, remaining.length > 0
+        ? `🔕 Unsubscribed. Still watching: ${remaining.join(', ')}`
+        : '🔕 Activity alerts off.');
+    } else if (subcommand.toLowerCase() === 'list') {
+      const subscribed = activityAlerts.getActivitySubscriptions(chatId);
+      bot.sendMessage(chatId,
+        `🔎 **Activity Alerts**\n\n` +
+        `**Watching:** ${subscribed.length > 0 ? subscribed.join(', ') : 'nothing yet'}\n` +
+        `**Scanned coins:** ${watchlist}\n\n` +
+        `💡 \`/activity subscribe BTC ETH\`, \`/activity unsubscribe BTC\` (no symbols = all)`,
+        { parse_mode: 'Markdown' }
+      );
+    } else {
+      bot.sendMessage(chatId, 'Usage: /activity subscribe <symbols...>, /activity unsubscribe [symbols...], /activity list');
+    }
+  });
+
+  // /newswatch command - breaking news alerts for headlines matching keywords
+  bot.onText(/^\/newswatch(?:\s+(.+))?$/, (msg, match) => {
+    const chatId = msg.chat.id;
+
+    if (!match[1]) {
+      const rules = newsWatch.getNewsWatches(chatId);
+      bot.sendMessage(chatId,
+        `📰 **News Watch**\n\n` +
+        (rules.length > 0
+          ? rules.map(rule => `• **${rule.symbol}**: ${rule.keywords.join(', ')}`).join('\n')
+          : 'No news watches yet.') +
+        `\n\n💡 \`/newswatch BTC\` (${config.NEWS_WATCH_DEFAULT_KEYWORDS.join(', ')}), ` +
+        `\`/newswatch SOL outage "network halt"\`, \`/newswatch BTC off\``,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const rule = parseNewsWatchArgs(match[1]);
+    if (rule.error) {
+      bot.sendMessage(chatId, `❌ ${rule.error}`);
+      return;
+    }
+
+    if (rule.off) {
+      bot.sendMessage(chatId, newsWatch.removeNewsWatch(chatId, rule.symbol)
+        ? `🗑️ Stopped watching ${rule.symbol} news.`
+        : `❌ You are not watching ${rule.symbol} news.`);
+      return;
+    }
+
+    const keywords = newsWatch.setNewsWatch(chatId, rule.symbol, rule.keywords);
+    bot.sendMessage(chatId,
+      `📰 **News Watch Set: ${rule.symbol}**\n\n` +
+      `**Keywords:** ${keywords.join(', ')}\n\n` +
+      `Headlines are checked every ${formatDuration(config.NEWS_WATCH_INTERVAL)} across RSS feeds, CryptoCompare, CryptoPanic and Google News. ` +
+      `Each matching article is pushed once; headlines already out now are skipped.`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+
+  // Describe a chat's delivery preferences for replies
+  const describeDelivery = (chatId) => {
+    const { quietHours, digestWindow, queued } = notifier.getPreferences(chatId);
+    return `**Quiet hours:** ${quietHours ? `${quietHours.start}-${quietHours.end} (${quietHours.timeZone})` : 'off'}\n` +
+      `**Digest:** ${digestWindow ? `every ${formatDuration(digestWindow)}` : 'off (alerts sent immediately)'}\n` +
+      `**Waiting for delivery:** ${queued} alert(s)`;
+  };
+
+  // /quiet command - show, set or clear quiet hours
+  bot.onText(/^\/quiet(?:\s+(.+))?$/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+    if (args.length === 0) {
+      bot.sendMessage(chatId,
+        `🌙 **Alert Delivery**\n\n${describeDelivery(chatId)}\n\n` +
+        `Usage: \`/quiet 23:00-07:00 Europe/Berlin\` or \`/quiet off\``,
         { parse_mode: 'Markdown' }
       );
+      return;
+    }
+
+    if (args[0].toLowerCase() === 'off') {
+      notifier.setQuietHours(chatId, null);
+      bot.sendMessage(chatId, `🔔 **Quiet Hours Off**\n\n${describeDelivery(chatId)}`, { parse_mode: 'Markdown' });
+      return;
     }
+
+    const [start, end] = args[0].split('-');
+    const result = notifier.setQuietHours(chatId, {
+      start,
+      end,
+      timeZone: args[1] || config.DEFAULT_TIME_ZONE
+    });
+
+    if (result.error) {
+      bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    bot.sendMessage(chatId,
+      `🌙 **Quiet Hours Set**\n\n${describeDelivery(chatId)}\n\n` +
+      `Alerts during quiet hours are held and delivered as one digest afterwards. ` +
+      `Add \`urgent\` to an alert (e.g. \`/alert BTC 50000 urgent\`) to always receive it immediately.`,
+      { parse_mode: 'Markdown' }
+    );
+  });
+
+  // /digest command - batch alerts into one message per window
+  bot.onText(/^\/digest(?:\s+(.+))?$/, (msg, match) => {
+    const chatId = msg.chat.id;
+    const arg = (match[1] || '').trim().toLowerCase();
+
+    if (!arg) {
+      bot.sendMessage(chatId,
+        `📬 **Alert Delivery**\n\n${describeDelivery(chatId)}\n\n` +
+        `Usage: \`/digest 30m\` or \`/digest off\``,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (arg === 'off') {
+      notifier.setDigestWindow(chatId, null);
+      bot.sendMessage(chatId,
+        `🔔 **Digest Off**\n\n${describeDelivery(chatId)}\n\nAlerts already waiting go out within a minute.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const digestWindow = parseDuration(arg);
+    if (!digestWindow) {
+      bot.sendMessage(chatId, '❌ Invalid window. Example: /digest 30m');
+      return;
+    }
+
+    notifier.setDigestWindow(chatId, digestWindow);
+    bot.sendMessage(chatId,
+      `📬 **Digest Mode On**\n\n${describeDelivery(chatId)}\n\n` +
+      `Volatility and price alerts are collected for ${formatDuration(digestWindow)} and sent as one message. ` +
+      `Alerts marked \`urgent\` still arrive immediately.`,
+      { parse_mode: 'Markdown' }
+    );
   });
 
   // /settings command
   bot.onText(/\/settings/, (msg) => {
     const chatId = msg.chat.id;
+    const { quietHours, digestWindow } = notifier.getPreferences(chatId);
     const settingsMessage = `
 ⚙️ Bot Settings
 
 Current settings:
 • Notifications: Enabled
-• Alert frequency: Real-time
+• Alert frequency: ${digestWindow ? `Digest every ${formatDuration(digestWindow)}` : 'Real-time'}
+• Quiet hours: ${quietHours ? `${quietHours.start}-${quietHours.end} (${quietHours.timeZone})` : 'Off'}
 • Default currency: USD
 • Language: English
 
 Available commands:
 /autoalerts - Toggle auto volatility alerts
+/autoalerts set <pct%> <cooldown> <symbols> - Customize auto alerts
+/autoalerts adaptive - Volatility-adaptive thresholds
+/quiet 23:00-07:00 <timezone> - Hold alerts overnight
+/digest 30m - Batch alerts into one message
 /clearalerts - Clear all price alerts
 
 Type the command you want to use.
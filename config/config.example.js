@@ -8,18 +8,110 @@ module.exports = {
   // API Endpoints
   COINGECKO_API: 'https://api.coingecko.com/api/v3',
   
+  // Storage
+  DATA_DIR: 'data', // JSON state files (alerts, subscriptions) relative to project root
+  
   // Cache Settings
   CACHE_DURATION: 120000, // 2 minutes
-  RATE_LIMIT_BACKOFF: 120000, // 2 minutes
+  RATE_LIMIT_BACKOFF: 120000, // 2 minutes every request to a host pauses after a 429 without Retry-After
   PRICE_FRESHNESS_WINDOW: 15000, // 15 seconds
+  PRICE_HISTORY_RETENTION: 90000000, // 25 hours of ticks (covers the longest auto-alert window)
+  PRICE_HISTORY_SAVE_INTERVAL: 300000, // 5 minutes
+
+  // Shared HTTP scheduler - per-host token buckets (requests per minute, burst) for every upstream API
+  HTTP_RATE_LIMITS: {
+    default: { perMinute: 120, burst: 10 },
+    'api.coingecko.com': { perMinute: 25, burst: 5 }, // free tier allows roughly 10-30 calls a minute
+    'api.binance.com': { perMinute: 600, burst: 50 },
+    'www.reddit.com': { perMinute: 30, burst: 10 }
+  },
+  HTTP_MAX_QUEUE_WAIT: 60000, // give up on a request that waited a minute for its host's bucket
+  HTTP_CACHE_MAX_ENTRIES: 500,
+
+  // Candles - OHLCV bars built from live ticks; gaps are backfilled from CoinGecko history (5m, 1h, 1d)
+  CANDLE_RETENTION: { '1m': '1d', '5m': '7d', '1h': '90d', '1d': '730d' },
+  CANDLE_SAVE_INTERVAL: 300000, // 5 minutes
+  CANDLE_BACKFILL_DELAY: 60000, // first gap check a minute after startup, once the symbol universe is known
+  CANDLE_BACKFILL_INTERVAL: 3600000, // then hourly
+  CANDLE_BACKFILL_COOLDOWN: 1800000, // at most one backfill per symbol and interval every 30 minutes
+  
+  // Symbol resolution - tickers, names and contract addresses are matched against CoinGecko's coin list
+  COIN_LIST_REFRESH_INTERVAL: 86400000, // 24 hours
+  SYMBOL_DOMINANCE_RATIO: 10, // a ticker resolves without asking when its largest coin has 10x the runner-up's market cap
+  SYMBOL_MAX_CHOICES: 5, // buttons offered when a ticker is ambiguous
+  SYMBOL_PICK_TIMEOUT: 600000, // 10 minutes to pick before the buttons expire
+
+  // Always polled and streamed; on top of these the feeds track every coin an active alert,
+  // auto-alert coin list or activity subscription asks for. Also the default auto-alert coins.
+  CORE_SYMBOLS: ['BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOT', 'UNI', 'LINK', 'AAVE', 'MATIC', 'AVAX', 'SUI', 'ATOM', 'ARB', 'HYPE', 'ASTER', 'WLFI'],
+
+  // Price Providers - polled in order of health (error rate, latency, freshness); set enabled: false
+  // to drop one, or add your own with { name, module: './path/to/provider', enabled: true }
+  PRICE_PROVIDERS: [
+    { name: 'cryptocompare', enabled: true },
+    { name: 'coincap', enabled: true },
+    { name: 'coingecko', enabled: true },
+    { name: 'binance', enabled: true }
+  ],
+  PRICE_PROVIDER_STALE_AFTER: 300000, // 5 minutes without a successful answer costs a provider its freshness score
+  PRICE_CONSENSUS_ENABLED: true, // query every provider and combine, instead of trusting the first answer
+  PRICE_CONSENSUS_METHOD: 'median', // 'median' or 'volume-weighted'
+  PRICE_OUTLIER_TOLERANCE: 1.5, // % from the median beyond which a source is discarded (needs 3+ sources)
+  PRICE_STREAM_MAX_DEVIATION: 5, // % from the last consensus beyond which a stream tick is ignored
+  
+  // Streaming Prices (Binance ticker WebSocket; REST polling takes over while it is down)
+  PRICE_STREAM_ENABLED: true,
+  PRICE_STREAM_URL: 'wss://stream.binance.com:9443/ws', // ws://localhost:8765 for `npm run mock-stream`
+  PRICE_STREAM_HEARTBEAT_INTERVAL: 15000, // 15 seconds between pings
+  PRICE_STREAM_HEARTBEAT_TIMEOUT: 45000, // reconnect when nothing arrives for 45 seconds
+  PRICE_STREAM_RECONNECT_DELAY: 1000, // first reconnect delay, doubled per failed attempt
+  PRICE_STREAM_MAX_RECONNECT_DELAY: 60000, // 1 minute
+  PRICE_STREAM_REST_INTERVAL: 60000, // REST refresh (market caps, unstreamed coins) while the stream is up
+  PRICE_STREAM_HISTORY_RESOLUTION: 5000, // keep one stream tick per 5 seconds in price history
   
   // Update Intervals
   PRICE_UPDATE_INTERVAL: 10000, // 10 seconds
   ALERT_CHECK_INTERVAL: 30000, // 30 seconds
+  DIGEST_FLUSH_INTERVAL: 60000, // 1 minute
+  ORDERBOOK_ALERT_INTERVAL: 60000, // 1 minute between order book samples
+  ACTIVITY_SCAN_INTERVAL: 900000, // 15 minutes between unusual-activity scans
+  NEWS_WATCH_INTERVAL: 300000, // 5 minutes between breaking-news polls
+  ALERT_HISTORY_FOLLOWUP_INTERVAL: 300000, // 5 minutes between follow-up price checks
   
   // Alert Settings
+  ALERT_REPEAT_COOLDOWN: 3600000, // 1 hour before a repeating alert can re-arm
   AUTO_ALERT_THRESHOLD: 3.0, // 3%
   AUTO_ALERT_COOLDOWN: 3600000, // 1 hour
+  AUTO_ALERT_WINDOWS: ['5m', '1h', '4h', '24h'], // rolling windows checked for volatility, shortest first
+  ALERT_HISTORY_LIMIT: 500, // triggered/expired alerts kept per chat for /alerthistory and /alertstats
+  ALERT_HISTORY_FOLLOWUP_TOLERANCE: 1800000, // 30 minutes; follow-up prices further off than this are skipped
+  
+  // Adaptive Auto-Alert Thresholds (/autoalerts adaptive)
+  ADAPTIVE_SIGMA_MULTIPLIER: 3, // alert on moves of N standard deviations for the window
+  ADAPTIVE_LOOKBACK: 86400000, // 24 hours of history to measure realized volatility
+  ADAPTIVE_SAMPLE_INTERVAL: 300000, // 5 minute returns
+  ADAPTIVE_MIN_SAMPLES: 12, // need at least 1 hour of returns before adapting
+  ADAPTIVE_MIN_THRESHOLD: 0.5, // %
+  ADAPTIVE_MAX_THRESHOLD: 20, // %
+  
+  // Order Book Alerts (/obalert)
+  ORDERBOOK_ALERT_IMBALANCE: 25, // % default imbalance threshold
+  ORDERBOOK_FLIP_CONFIRMATIONS: 2, // samples a new sentiment label must hold before a flip is reported
+  
+  // Unusual Activity Alerts (/activity subscribe)
+  ACTIVITY_WATCHLIST: ['BTC', 'ETH', 'SOL', 'XRP', 'BNB', 'DOGE', 'ADA', 'LINK', 'AVAX', 'SUI'],
+  ACTIVITY_MIN_SEVERITY: 'high', // lowest detector severity that gets pushed
+  ACTIVITY_DEDUPE_WINDOW: 43200000, // 12 hours before the same finding type is pushed again for a coin
+  
+  // Breaking News Alerts (/newswatch)
+  NEWS_WATCH_DEFAULT_KEYWORDS: ['ETF', 'hack', 'exploit', 'delist'],
+  NEWS_WATCH_SEEN_RETENTION: 604800000, // 7 days of remembered article URLs
+  
+  // Notification Delivery (/quiet, /digest)
+  DEFAULT_TIME_ZONE: 'UTC', // used for quiet hours when no time zone is given
+  DELIVERY_MAX_ATTEMPTS: 5, // tries for network errors and Telegram 5xx before giving up
+  DELIVERY_RETRY_DELAY: 2000, // first retry delay, doubled on each attempt (429s wait for Telegram's retry_after)
+  DELIVERY_MIN_INTERVAL: 50, // ms between sends, keeps the bot under Telegram's ~30 messages/second
   
   // CoinGecko Symbol Mappings
   SYMBOL_MAP: {
@@ -28,7 +120,7 @@ module.exports = {
     'SOL': 'solana',
     'XRP': 'ripple',
     'HYPE': 'hyperliquid',
-    'ASTER': 'astar',
+    'ASTER': 'aster-2',
     'WLFI': 'world-liberty-financial',
     'SUI': 'sui',
     'ADA': 'cardano',
@@ -41,6 +133,7 @@ module.exports = {
     'MATIC': 'matic-network',
     'AVAX': 'avalanche-2',
     'ATOM': 'cosmos',
+    'ARB': 'arbitrum',
     'BNB': 'binancecoin',
     'DOGE': 'dogecoin',
     'LTC': 'litecoin',
@@ -0,0 +1,100 @@
+// Mock Price Stream - Local stand-in for the Binance ticker WebSocket for testing the streaming feed
+// Usage: node scripts/mockPriceStream.js [--port 8765] [--drop 60] [--silent 0]
+//   --drop N    close every connection after N seconds to exercise reconnect + resubscribe
+//   --silent N  stop sending (and answering pings) after N seconds to exercise the heartbeat timeout
+const { WebSocketServer } = require('ws');
+
+// Parse "--name value" command line options
+function getOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? parseFloat(process.argv[index + 1]) : fallback;
+}
+
+const PORT = getOption('port', 8765);
+const DROP_AFTER = getOption('drop', 0) * 1000;
+const SILENT_AFTER = getOption('silent', 0) * 1000;
+
+// Starting prices for the random walk; unknown symbols start at 1
+const BASE_PRICES = { BTC: 65000, ETH: 3200, SOL: 150, XRP: 0.55, ADA: 0.45, DOT: 6.5, LINK: 14, AVAX: 28 };
+const prices = {};
+const openPrices = {};
+
+// Next price for a symbol: a small random step (±0.2%)
+function nextPrice(symbol) {
+  if (!prices[symbol]) {
+    prices[symbol] = BASE_PRICES[symbol] || 1;
+    openPrices[symbol] = prices[symbol];
+  }
+  prices[symbol] *= 1 + (Math.random() - 0.5) * 0.004;
+  return prices[symbol];
+}
+
+// Build a Binance-style 24hr ticker event
+function buildTicker(symbol) {
+  const price = nextPrice(symbol);
+  const changePercent = ((price - openPrices[symbol]) / openPrices[symbol]) * 100;
+
+  return {
+    e: '24hrTicker',
+    E: Date.now(),
+    s: `${symbol}USDT`,
+    c: price.toFixed(8),
+    P: changePercent.toFixed(3),
+    q: (price * 10000).toFixed(2)
+  };
+}
+
+const server = new WebSocketServer({ port: PORT, autoPong: false });
+
+server.on('connection', (ws) => {
+  const streams = new Set();
+  const connectedAt = Date.now();
+  console.log('🔌 Client connected');
+
+  ws.on('message', (raw) => {
+    let request;
+    try {
+      request = JSON.parse(raw);
+    } catch (error) {
+      ws.send(JSON.stringify({ error: { code: 2, msg: 'Invalid JSON' } }));
+      return;
+    }
+
+    if (request.method === 'SUBSCRIBE') {
+      request.params.forEach(stream => streams.add(stream));
+    } else if (request.method === 'UNSUBSCRIBE') {
+      request.params.forEach(stream => streams.delete(stream));
+    }
+    console.log(`📡 ${request.method} ${request.params?.join(', ')} (${streams.size} streams)`);
+    ws.send(JSON.stringify({ result: null, id: request.id }));
+  });
+
+  // Answer pings ourselves so --silent can also go quiet on heartbeats
+  ws.on('ping', (data) => {
+    if (!SILENT_AFTER || Date.now() - connectedAt < SILENT_AFTER) {
+      ws.pong(data);
+    }
+  });
+
+  const ticker = setInterval(() => {
+    if (SILENT_AFTER && Date.now() - connectedAt >= SILENT_AFTER) return;
+
+    streams.forEach(stream => {
+      const symbol = stream.replace(/usdt@ticker$/, '').toUpperCase();
+      ws.send(JSON.stringify(buildTicker(symbol)));
+    });
+  }, 1000);
+
+  const dropTimer = DROP_AFTER ? setTimeout(() => {
+    console.log('✂️ Dropping connection');
+    ws.terminate();
+  }, DROP_AFTER) : null;
+
+  ws.on('close', () => {
+    clearInterval(ticker);
+    clearTimeout(dropTimer);
+    console.log('🔌 Client disconnected');
+  });
+});
+
+console.log(`🧪 Mock price stream listening on ws://localhost:${PORT}`);
@@ -0,0 +1,153 @@
+// Activity Alerts Service - Background unusual-activity scans pushed to subscribed chats
+const config = require('../config/config');
+const storage = require('./storage');
+const activityDetector = require('./activityDetector');
+const notifier = require('./notifier');
+
+const STORAGE_KEY = 'activityAlerts';
+const SEVERITY_ORDER = { 'low': 1, 'medium': 2, 'high': 3 };
+
+// Storage
+const subscriptions = {}; // per-chat [symbols]
+const reported = {}; // "SYMBOL:type" -> last time that finding was pushed
+
+// Restore subscriptions and recently reported findings from storage
+function loadActivityAlerts() {
+  const saved = storage.load(STORAGE_KEY, { subscriptions: {}, reported: {} });
+  Object.assign(subscriptions, saved.subscriptions);
+  Object.assign(reported, saved.reported);
+
+  console.log(`💾 Loaded activity subscriptions for ${Object.keys(subscriptions).length} chat(s) from storage`);
+}
+
+function saveActivityAlerts() {
+  return storage.save(STORAGE_KEY, { subscriptions, reported });
+}
+
+function getActivitySubscriptions(chatId) {
+  return subscriptions[chatId] || [];
+}
+
+// Subscribe a chat to watchlist symbols; symbols outside the watchlist are returned as rejected
+function subscribeActivity(chatId, symbols) {
+  const accepted = symbols.filter(symbol => config.ACTIVITY_WATCHLIST.includes(symbol));
+  const rejected = symbols.filter(symbol => !config.ACTIVITY_WATCHLIST.includes(symbol));
+
+  if (accepted.length > 0) {
+    subscriptions[chatId] = Array.from(new Set([...getActivitySubscriptions(chatId), ...accepted]));
+    saveActivityAlerts();
+  }
+
+  return { accepted, rejected, symbols: getActivitySubscriptions(chatId) };
+}
+
+// Unsubscribe from the given symbols, or from everything when none are given
+function unsubscribeActivity(chatId, symbols = []) {
+  const remaining = symbols.length > 0
+    ? getActivitySubscriptions(chatId).filter(symbol => !symbols.includes(symbol))
+    : [];
+
+  if (remaining.length > 0) {
+    subscriptions[chatId] = remaining;
+  } else {
+    delete subscriptions[chatId];
+  }
+  saveActivityAlerts();
+
+  return remaining;
+}
+
+// Forget findings older than the dedupe window so the map doesn't grow forever
+function pruneReported(now) {
+  Object.keys(reported).forEach(key => {
+    if (now - reported[key] > config.ACTIVITY_DEDUPE_WINDOW) {
+      delete reported[key];
+    }
+  });
+}
+
+// Build the push message for one finding
+function generateActivityMessage(symbol, activity) {
+  const severityEmoji = activity.severity === 'high' ? '🔴' : activity.severity === 'medium' ? '🟡' : '🟢';
+
+  return `🔎 **UNUSUAL ACTIVITY: ${symbol}**\n\n` +
+    `${severityEmoji} **${activity.type.replace(/_/g, ' ').toUpperCase()}**\n` +
+    `${activity.description}\n\n` +
+    `**Severity:** ${activity.severity} · **Impact:** ${activity.impact}\n\n` +
+    `💡 /news ${symbol} for the full briefing`;
+}
+
+// Watchlist symbols at least one chat is subscribed to
+function getSubscribedSymbols() {
+  const subscribedSymbols = new Set(Object.values(subscriptions).flat());
+  return config.ACTIVITY_WATCHLIST.filter(symbol => subscribedSymbols.has(symbol));
+}
+
+// Run the detector over watched symbols that have subscribers and push new findings
+async function scanActivity(bot, getCachedCryptoData) {
+  const symbols = getSubscribedSymbols();
+
+  if (symbols.length === 0) return;
+
+  console.log(`🔎 Scanning unusual activity for ${symbols.length} symbol(s)...`);
+
+  const minSeverity = SEVERITY_ORDER[config.ACTIVITY_MIN_SEVERITY] || SEVERITY_ORDER.high;
+  const now = Date.now();
+  pruneReported(now);
+
+  for (const symbol of symbols) {
+    const activities = await activityDetector.detectUnusualActivity(symbol, getCachedCryptoData);
+    const findings = activities.filter(activity =>
+      (SEVERITY_ORDER[activity.severity] || 0) >= minSeverity &&
+      !reported[`${symbol}:${activity.type}`]
+    );
+
+    for (const activity of findings) {
+      reported[`${symbol}:${activity.type}`] = now;
+
+      for (const chatId in subscriptions) {
+        if (!subscriptions[chatId].includes(symbol)) continue;
+
+        const { delivery } = await notifier.notify(bot, chatId, {
+          text: generateActivityMessage(symbol, activity),
+          summary: `🔎 **${symbol}** ${activity.description}`
+        });
+        delivery.then(({ status }) => {
+          console.log(`📤 Activity alert ${status}: ${symbol} ${activity.type} for chat ${chatId}`);
+        }).catch(error => {
+          console.error(`Error logging activity alert for ${symbol} in chat ${chatId}:`, error.message);
+        });
+      }
+    }
+  }
+
+  saveActivityAlerts();
+}
+
+// Stop scanning for a chat that blocked the bot
+function disableChat(chatId) {
+  if (!subscriptions[chatId]) return;
+  unsubscribeActivity(chatId);
+}
+
+function startActivityScanner(bot, getCachedCryptoData) {
+  setInterval(() => {
+    scanActivity(bot, getCachedCryptoData).catch(error => {
+      console.error('Error in activity scanner:', error.message);
+    });
+  }, config.ACTIVITY_SCAN_INTERVAL);
+
+  console.log('🔎 Unusual activity scanner started...');
+}
+
+module.exports = {
+  loadActivityAlerts,
+  saveActivityAlerts,
+  getActivitySubscriptions,
+  subscribeActivity,
+  unsubscribeActivity,
+  getSubscribedSymbols,
+  scanActivity,
+  disableChat,
+  startActivityScanner
+};
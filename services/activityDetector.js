@@ -1,7 +1,9 @@
 // Activity Detector Service - Detects unusual market activity and flows
-const axios = require('axios');
+const httpScheduler = require('./httpScheduler');
 const config = require('../config/config');
-const { formatNumber, getTimeAgoShort, getCoinGeckoId } = require('../utils/helpers');
+const { formatNumber, getTimeAgoShort } = require('../utils/helpers');
+const symbolResolver = require('./symbolResolver');
+const candles = require('./candles');
 
 // Detect all unusual activity
 async function detectUnusualActivity(symbol, getCachedCryptoData) {
@@ -48,27 +50,34 @@ async function detectUnusualActivity(symbol, getCachedCryptoData) {
   }
 }
 
+// Get 7-day and 14-day average daily volume from the last 14 complete daily candles
+// (shared with compound alert rules)
+async function getVolumeBaseline(symbol) {
+  const dailyVolumes = (await candles.ensureCandles(symbol, '1d', 14))
+    .filter(candle => candle.complete && Number.isFinite(candle.volume))
+    .map(candle => candle.volume);
+
+  if (dailyVolumes.length === 0) {
+    return null;
+  }
+
+  const recentVolumes = dailyVolumes.slice(-7);
+  const longerTermVolumes = dailyVolumes.slice(-14);
+
+  return {
+    avg7DayVolume: recentVolumes.reduce((sum, volume) => sum + volume, 0) / recentVolumes.length,
+    avg14DayVolume: longerTermVolumes.reduce((sum, volume) => sum + volume, 0) / longerTermVolumes.length,
+    timestamp: Date.now()
+  };
+}
+
 // Check volume anomaly
 async function checkVolumeAnomaly(symbol, currentData) {
   try {
-    await new Promise(resolve => setTimeout(resolve, 300));
-    
-    const response = await axios.get(`${config.COINGECKO_API}/coins/${getCoinGeckoId(symbol, config.SYMBOL_MAP)}/market_chart`, {
-      params: {
-        vs_currency: 'usd',
-        days: 14,
-        interval: 'daily'
-      },
-      timeout: 8000
-    });
-
-    if (response.data?.total_volumes) {
-      const volumes = response.data.total_volumes;
-      const recentVolumes = volumes.slice(-7);
-      const longerTermVolumes = volumes.slice(-14);
+    const baseline = await getVolumeBaseline(symbol);
 
-      const avg7DayVolume = recentVolumes.reduce((sum, [_, vol]) => sum + vol, 0) / recentVolumes.length;
-      const avg14DayVolume = longerTermVolumes.reduce((sum, [_, vol]) => sum + vol, 0) / longerTermVolumes.length;
+    if (baseline) {
+      const { avg7DayVolume, avg14DayVolume } = baseline;
       const currentVolume = currentData.volume24h || 0;
 
       if (currentVolume > avg7DayVolume * 4) {
@@ -159,10 +168,12 @@ async function checkExchangeFlows(symbol, currentData) {
     const marketCap = currentData.marketCap || 0;
 
     try {
-      await new Promise(resolve => setTimeout(resolve, 350));
-      
-      const exchangeResponse = await axios.get(`${config.COINGECKO_API}/coins/${getCoinGeckoId(symbol, config.SYMBOL_MAP)}/tickers`, {
-        timeout: 8000
+      const coinId = symbolResolver.getCoinId(symbol);
+      if (!coinId) throw new Error(`No CoinGecko coin known for ${symbol}`);
+
+      const exchangeResponse = await httpScheduler.get(`${config.COINGECKO_API}/coins/${coinId}/tickers`, {
+        timeout: 8000,
+        cacheTtl: 300000
       });
 
       if (exchangeResponse.data?.tickers) {
@@ -254,21 +265,10 @@ async function checkExchangeFlows(symbol, currentData) {
     }
 
     try {
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
-      const response = await axios.get(`${config.COINGECKO_API}/coins/${getCoinGeckoId(symbol, config.SYMBOL_MAP)}/market_chart`, {
-        params: {
-          vs_currency: 'usd',
-          days: 7,
-          interval: 'daily'
-        },
-        timeout: 8000
-      });
+      const baseline = await getVolumeBaseline(symbol);
 
-      if (response.data?.total_volumes) {
-        const volumes = response.data.total_volumes;
-        const recentVolumes = volumes.slice(-7);
-        const avgVolume = recentVolumes.reduce((sum, [_, vol]) => sum + vol, 0) / recentVolumes.length;
+      if (baseline) {
+        const avgVolume = baseline.avg7DayVolume;
 
         if (volume > avgVolume * 3 && volume > 50000000) {
           const multiplier = (volume / avgVolume).toFixed(1);
@@ -348,10 +348,12 @@ async function checkLiquidationActivity(symbol, currentData) {
 async function checkTokenActivity(symbol) {
   try {
     const activities = [];
-    await new Promise(resolve => setTimeout(resolve, 400));
+    const coinId = symbolResolver.getCoinId(symbol);
+    if (!coinId) return activities;
 
-    const response = await axios.get(`${config.COINGECKO_API}/coins/${getCoinGeckoId(symbol, config.SYMBOL_MAP)}`, {
-      timeout: 8000
+    const response = await httpScheduler.get(`${config.COINGECKO_API}/coins/${coinId}`, {
+      timeout: 8000,
+      cacheTtl: 300000
     });
 
     if (response.data) {
@@ -407,27 +409,16 @@ async function detectLargeTradesLast24h(symbol, currentData) {
     }
     
     try {
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const response = await axios.get(`${config.COINGECKO_API}/coins/${getCoinGeckoId(symbol, config.SYMBOL_MAP)}/market_chart`, {
-        params: {
-          vs_currency: 'usd',
-          days: 1,
-          interval: 'hourly'
-        },
-        timeout: 8000
-      });
+      const hourlyCandles = (await candles.ensureCandles(symbol, '1h', 24)).filter(candle => Number.isFinite(candle.volume24h));
 
-      if (response.data?.prices && response.data?.total_volumes) {
-        const prices = response.data.prices;
-        const volumes = response.data.total_volumes;
+      if (hourlyCandles.length > 1) {
         const movements = [];
         
-        for (let i = 1; i < prices.length; i++) {
-          const prevPrice = prices[i - 1][1];
-          const currentPrice = prices[i][1];
-          const timestamp = prices[i][0];
-          const volume = volumes[i][1];
+        for (let i = 1; i < hourlyCandles.length; i++) {
+          const prevPrice = hourlyCandles[i - 1].close;
+          const currentPrice = hourlyCandles[i].close;
+          const timestamp = hourlyCandles[i].time;
+          const volume = hourlyCandles[i].volume24h;
           const priceChange = currentPrice - prevPrice;
           const priceChangePercent = (priceChange / prevPrice) * 100;
           const impactScore = Math.abs(priceChangePercent) * Math.sqrt(volume / 1000000);
@@ -528,6 +519,7 @@ async function detectLargeTradesLast24h(symbol, currentData) {
 
 module.exports = {
   detectUnusualActivity,
+  getVolumeBaseline,
   checkVolumeAnomaly,
   checkWhaleActivity,
   checkExchangeFlows,
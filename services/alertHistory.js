@@ -0,0 +1,233 @@
+// Alert History Service - Log of fired and expired alerts with follow-up prices for performance stats
+const config = require('../config/config');
+const storage = require('./storage');
+const priceHistory = require('./priceHistory');
+const symbolResolver = require('./symbolResolver');
+
+const STORAGE_KEY = 'alertHistory';
+
+// How long after a trigger we look again to see whether the move continued or reversed
+const FOLLOW_UPS = [
+  { label: '1h', ms: 60 * 60 * 1000 },
+  { label: '24h', ms: 24 * 60 * 60 * 1000 }
+];
+
+// Storage
+const history = {}; // per-chat [entries], oldest first
+
+// Restore alert history from storage
+function loadAlertHistory() {
+  Object.assign(history, storage.load(STORAGE_KEY, {}));
+
+  const entryCount = Object.values(history).reduce((sum, entries) => sum + entries.length, 0);
+  console.log(`💾 Loaded ${entryCount} alert history entr${entryCount === 1 ? 'y' : 'ies'} from storage`);
+}
+
+function saveAlertHistory() {
+  return storage.save(STORAGE_KEY, history);
+}
+
+// Append an entry, dropping the oldest ones past the per-chat limit
+function appendEntry(chatId, entry) {
+  if (!history[chatId]) {
+    history[chatId] = [];
+  }
+  history[chatId].push(entry);
+  if (history[chatId].length > config.ALERT_HISTORY_LIMIT) {
+    history[chatId] = history[chatId].slice(-config.ALERT_HISTORY_LIMIT);
+  }
+  saveAlertHistory();
+  return entry;
+}
+
+// Fields that tell the follow-up check (and formatters) what the alert measured
+function getValueSource(alert) {
+  const source = { symbol: alert.symbol };
+  if (alert.coinId) source.coinId = alert.coinId;
+  if (alert.valueType) source.valueType = alert.valueType;
+  if (alert.base) source.base = alert.base;
+  if (alert.baseCoinId) source.baseCoinId = alert.baseCoinId;
+  if (alert.quote) source.quote = alert.quote;
+  if (alert.quoteCoinId) source.quoteCoinId = alert.quoteCoinId;
+  if (alert.exchanges) source.exchanges = alert.exchanges;
+  return source;
+}
+
+// Log a fired alert. startedAt is when the alert was set, or its previous firing for repeats.
+function recordTriggeredAlert(chatId, alert, { target, direction, triggerPrice, startedAt, triggeredAt = Date.now() }) {
+  return appendEntry(chatId, {
+    outcome: 'triggered',
+    alertId: alert.alertId,
+    number: alert.number,
+    ...getValueSource(alert),
+    target,
+    direction,
+    setPrice: alert.currentPrice,
+    triggerPrice,
+    createdAt: new Date(alert.timestamp).getTime(),
+    triggeredAt,
+    timeToTrigger: triggeredAt - startedAt,
+    followUps: {}
+  });
+}
+
+// Log an alert that expired without ever firing; it counts as a miss in the hit rate
+function recordExpiredAlert(chatId, alert, { target, expiredAt = Date.now() }) {
+  return appendEntry(chatId, {
+    outcome: 'expired',
+    alertId: alert.alertId,
+    number: alert.number,
+    ...getValueSource(alert),
+    target,
+    createdAt: new Date(alert.timestamp).getTime(),
+    expiredAt
+  });
+}
+
+// Triggered entries for a chat, newest first, optionally for one symbol
+function getTriggerHistory(chatId, symbol) {
+  return (history[chatId] || [])
+    .filter(entry => entry.outcome === 'triggered' && (!symbol || entry.symbol === symbol))
+    .reverse();
+}
+
+// Signed percent move after the trigger, positive when it kept going in the alert's direction
+function getFollowThrough(entry, label) {
+  const price = entry.followUps?.[label];
+  if (typeof price !== 'number' || !entry.triggerPrice) return null;
+
+  const move = ((price - entry.triggerPrice) / entry.triggerPrice) * 100;
+  return entry.direction === 'downward' ? -move : move;
+}
+
+function getMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Per-symbol aggregates: hit rate over resolved alerts, time-to-trigger and follow-through
+function getAlertStats(chatId) {
+  const bySymbol = {};
+
+  (history[chatId] || []).forEach(entry => {
+    if (!bySymbol[entry.symbol]) {
+      bySymbol[entry.symbol] = { symbol: entry.symbol, triggers: [], hitIds: new Set(), expired: 0 };
+    }
+    const group = bySymbol[entry.symbol];
+
+    if (entry.outcome === 'triggered') {
+      group.triggers.push(entry);
+      group.hitIds.add(entry.alertId);
+    } else if (entry.outcome === 'expired') {
+      group.expired++;
+    }
+  });
+
+  return Object.values(bySymbol)
+    .map(({ symbol, triggers, hitIds, expired }) => {
+      const resolved = hitIds.size + expired;
+      const followUps = {};
+
+      FOLLOW_UPS.forEach(({ label }) => {
+        const moves = triggers.map(entry => getFollowThrough(entry, label)).filter(move => move !== null);
+        followUps[label] = {
+          total: moves.length,
+          continued: moves.filter(move => move > 0).length,
+          averageMove: moves.length > 0 ? moves.reduce((sum, move) => sum + move, 0) / moves.length : null
+        };
+      });
+
+      return {
+        symbol,
+        triggers: triggers.length,
+        hits: hitIds.size,
+        expired,
+        hitRate: resolved > 0 ? (hitIds.size / resolved) * 100 : null,
+        medianTimeToTrigger: getMedian(triggers.map(entry => entry.timeToTrigger)),
+        followUps
+      };
+    })
+    .sort((a, b) => b.triggers - a.triggers || a.symbol.localeCompare(b.symbol));
+}
+
+// Value at a past time from recorded ticks; ratios divide both legs, spreads have no history.
+// Ticks are only for the shared feed's coin, so a coin the chat picked over it has none.
+function getHistoricalValue(entry, time) {
+  const getTick = (symbol, coinId) => {
+    if (!symbolResolver.isSharedCoin(symbol, coinId)) return null;
+    const tick = priceHistory.getPriceAt(symbol, time);
+    return tick && time - tick.timestamp <= config.ALERT_HISTORY_FOLLOWUP_TOLERANCE ? tick.price : null;
+  };
+
+  if (entry.valueType === 'ratio') {
+    const basePrice = getTick(entry.base, entry.baseCoinId);
+    const quotePrice = getTick(entry.quote, entry.quoteCoinId);
+    return basePrice && quotePrice ? basePrice / quotePrice : null;
+  }
+  if (entry.valueType === 'spread') {
+    return null;
+  }
+  return getTick(entry.symbol, entry.coinId);
+}
+
+// Fill in follow-up prices that have come due. Recorded ticks are preferred; the live value
+// is used while still close to the due time, and a follow-up missed by longer is marked null.
+async function updateFollowUps(getCurrentValue) {
+  const now = Date.now();
+  let changed = false;
+
+  for (const chatId in history) {
+    for (const entry of history[chatId]) {
+      if (entry.outcome !== 'triggered') continue;
+
+      for (const { label, ms } of FOLLOW_UPS) {
+        const dueAt = entry.triggeredAt + ms;
+        if (entry.followUps[label] !== undefined || now < dueAt) continue;
+
+        let value = getHistoricalValue(entry, dueAt);
+        if (value === null && now - dueAt <= config.ALERT_HISTORY_FOLLOWUP_TOLERANCE) {
+          try {
+            const currentData = await getCurrentValue(entry);
+            value = currentData?.price ?? null;
+          } catch (error) {
+            console.log(`Follow-up price error for ${entry.symbol}:`, error.message);
+          }
+          // Try again on the next pass while still inside the tolerance
+          if (value === null) continue;
+        }
+
+        entry.followUps[label] = value;
+        changed = true;
+      }
+    }
+  }
+
+  if (changed) {
+    saveAlertHistory();
+  }
+}
+
+function startFollowUpTracking(getCurrentValue) {
+  setInterval(() => {
+    updateFollowUps(getCurrentValue).catch(error => {
+      console.error('Error updating alert follow-ups:', error.message);
+    });
+  }, config.ALERT_HISTORY_FOLLOWUP_INTERVAL);
+
+  console.log('📒 Alert follow-up tracking started...');
+}
+
+module.exports = {
+  FOLLOW_UPS,
+  loadAlertHistory,
+  saveAlertHistory,
+  recordTriggeredAlert,
+  recordExpiredAlert,
+  getTriggerHistory,
+  getFollowThrough,
+  getAlertStats,
+  updateFollowUps,
+  startFollowUpTracking
+};
@@ -1,103 +1,987 @@
 // Alerts Service - Price alerts and auto-volatility monitoring
-const axios = require('axios');
+const httpScheduler = require('./httpScheduler');
 const config = require('../config/config');
-const { formatNumber, getCoinGeckoId } = require('../utils/helpers');
+const storage = require('./storage');
+const activityDetector = require('./activityDetector');
+const orderBookSentiment = require('./orderBookSentiment');
+const priceHistory = require('./priceHistory');
+const notifier = require('./notifier');
+const exchangeQuotes = require('./exchangeQuotes');
+const alertHistory = require('./alertHistory');
+const symbolResolver = require('./symbolResolver');
+const { formatNumber, formatDuration, parseDuration, escapeMarkdown } = require('../utils/helpers');
+
+const STORAGE_KEY = 'alerts';
+
+// Rolling windows checked by auto-volatility alerts, shortest (most sudden) first
+const VOLATILITY_WINDOWS = config.AUTO_ALERT_WINDOWS
+  .map(label => ({ label, ms: parseDuration(label) }))
+  .filter(window => window.ms)
+  .sort((a, b) => a.ms - b.ms);
 
 // Storage
 const priceAlerts = {};
+const alertCounters = {}; // last alert number handed out per chat, so numbers are never reused
 const autoAlerts = {
   enabled: {},
-  baselines: {},
+  settings: {}, // per-chat { threshold, cooldown, symbols, adaptive } overrides
+  baselines: {}, // per-chat, per-symbol { lastAlertPrice, lastAlertTime, lastWindow }
   cooldown: config.AUTO_ALERT_COOLDOWN,
   threshold: config.AUTO_ALERT_THRESHOLD
 };
 
+// Restore alerts, auto-alert subscriptions and volatility baselines from storage
+function loadAlerts() {
+  const saved = storage.load(STORAGE_KEY, {});
+
+  Object.keys(priceAlerts).forEach(chatId => delete priceAlerts[chatId]);
+  Object.entries(saved.priceAlerts || {}).forEach(([chatId, alerts]) => {
+    priceAlerts[chatId] = alerts.map(alert => ({
+      ...alert,
+      timestamp: new Date(alert.timestamp),
+      triggerTime: alert.triggerTime ? new Date(alert.triggerTime) : alert.triggerTime,
+      expireTime: alert.expireTime ? new Date(alert.expireTime) : alert.expireTime
+    }));
+  });
+
+  // Notifications still in the delivery queue when the bot stopped were lost with it
+  Object.values(priceAlerts).flat().forEach(alert => {
+    if (alert.deliveryStatus === 'pending') {
+      revertTrigger(alert);
+    }
+  });
+
+  Object.keys(alertCounters).forEach(chatId => delete alertCounters[chatId]);
+  Object.assign(alertCounters, saved.alertCounters || {});
+
+  // Alerts saved before numbering existed get numbers in creation order
+  Object.entries(priceAlerts).forEach(([chatId, alerts]) => {
+    alerts.forEach(alert => {
+      if (!alert.number) {
+        alert.number = getNextAlertNumber(chatId);
+      }
+    });
+  });
+
+  autoAlerts.enabled = saved.autoAlerts?.enabled || {};
+  autoAlerts.settings = saved.autoAlerts?.settings || {};
+  autoAlerts.baselines = saved.autoAlerts?.baselines || {};
+
+  // Baselines used to be one shared map keyed by symbol; per-chat baselines are rebuilt from live prices
+  const hasSharedBaselines = Object.values(autoAlerts.baselines).some(baseline => typeof baseline?.price === 'number');
+  if (hasSharedBaselines) {
+    autoAlerts.baselines = {};
+  }
+
+  const alertCount = Object.values(priceAlerts).reduce((sum, alerts) => sum + alerts.length, 0);
+  const subscriberCount = Object.values(autoAlerts.enabled).filter(Boolean).length;
+  console.log(`💾 Loaded ${alertCount} price alert(s) and ${subscriberCount} auto-alert subscriber(s) from storage`);
+}
+
+// Write current alert state through to storage
+function saveAlerts() {
+  return storage.save(STORAGE_KEY, {
+    priceAlerts,
+    alertCounters,
+    autoAlerts: {
+      enabled: autoAlerts.enabled,
+      settings: autoAlerts.settings,
+      baselines: autoAlerts.baselines
+    }
+  });
+}
+
+function getNextAlertNumber(chatId) {
+  const usedNumbers = (priceAlerts[chatId] || []).map(alert => alert.number || 0);
+  alertCounters[chatId] = Math.max(alertCounters[chatId] || 0, ...usedNumbers) + 1;
+  return alertCounters[chatId];
+}
+
+// Add a new alert for a chat with a stable number and persist it
+function addAlert(chatId, alert) {
+  if (!priceAlerts[chatId]) {
+    priceAlerts[chatId] = [];
+  }
+
+  alert.number = getNextAlertNumber(chatId);
+  priceAlerts[chatId].push(alert);
+  saveAlerts();
+  return alert;
+}
+
+// Find an alert by its number ("3" or "#3") or alertId
+function findAlert(chatId, reference) {
+  const alerts = priceAlerts[chatId] || [];
+  const ref = (reference || '').trim().replace(/^#/, '');
+
+  if (/^\d+$/.test(ref)) {
+    return alerts.find(alert => alert.number === parseInt(ref, 10)) || null;
+  }
+  return alerts.find(alert => alert.alertId === ref) || null;
+}
+
+// Remove a single alert; returns the removed alert or null
+function deleteAlert(chatId, reference) {
+  const alert = findAlert(chatId, reference);
+  if (!alert) return null;
+
+  priceAlerts[chatId] = priceAlerts[chatId].filter(existing => existing !== alert);
+  if (priceAlerts[chatId].length === 0) {
+    delete priceAlerts[chatId];
+  }
+  saveAlerts();
+  return alert;
+}
+
+// Pause or resume a single alert; returns { alert } or { error }
+function setAlertPaused(chatId, reference, paused) {
+  const alert = findAlert(chatId, reference);
+  if (!alert) {
+    return { error: `Alert ${reference} not found.` };
+  }
+
+  const fromStatus = paused ? 'active' : 'paused';
+  if (alert.status !== fromStatus) {
+    return { error: `Alert #${alert.number} is ${alert.status}, not ${fromStatus}.` };
+  }
+
+  alert.status = paused ? 'paused' : 'active';
+  if (!paused) {
+    // Moves that happened while paused shouldn't fire the alert on resume
+    alert.lastCheckedAt = Date.now();
+    if (alert.deliveryStatus === 'rejected') {
+      delete alert.deliveryStatus;
+      delete alert.deliveryError;
+    }
+  }
+  saveAlerts();
+  return { alert };
+}
+
+// Move an alert's price target; the current price becomes the new reference for its direction
+function editAlertTarget(chatId, reference, targetPrice, currentPrice) {
+  const alert = findAlert(chatId, reference);
+  if (!alert) {
+    return { error: `Alert ${reference} not found.` };
+  }
+  if (alert.status !== 'active' && alert.status !== 'paused') {
+    return { error: `Alert #${alert.number} is ${alert.status} and can no longer be edited.` };
+  }
+  if (alert.type === 'trailing' || alert.window) {
+    return { error: `Alert #${alert.number} has a moving target; delete it and create a new one instead.` };
+  }
+
+  alert.targetPrice = targetPrice;
+  alert.currentPrice = currentPrice;
+  alert.lastCheckedAt = Date.now();
+  delete alert.percent;
+
+  // Compound rules follow the new target's side of the price but keep whether the bound is inclusive
+  if (alert.type === 'compound') {
+    const inclusive = alert.priceOperator.endsWith('=') ? '=' : '';
+    alert.priceOperator = `${targetPrice > currentPrice ? '>' : '<'}${inclusive}`;
+  }
+  if (alert.repeat) {
+    alert.armed = true;
+    alert.crossedBack = false;
+  }
+  if (alert.near) {
+    alert.nearNotified = false;
+  }
+
+  saveAlerts();
+  return { alert };
+}
+
+// Reference price at the start of a rolling window (the live feed only carries 24h change)
+function getWindowReferencePrice(currentData, window) {
+  if (window !== '24h') return null;
+
+  const change24h = parseFloat(currentData.change24h);
+  if (!Number.isFinite(change24h)) return null;
+
+  return currentData.price / (1 + change24h / 100);
+}
+
+// Stop level of a trailing alert, derived from the extreme price seen since creation
+function getTrailLevel(alert) {
+  const factor = alert.trailSide === 'high'
+    ? 1 - alert.trailPercent / 100
+    : 1 + alert.trailPercent / 100;
+  return alert.extremePrice * factor;
+}
+
+// Direction the price has to move for an alert to fire
+function getAlertDirection(alert) {
+  if (alert.valueType === 'spread') {
+    return 'upward';
+  }
+  if (alert.type === 'trailing') {
+    return alert.trailSide === 'high' ? 'downward' : 'upward';
+  }
+  if (alert.type === 'compound') {
+    return alert.priceOperator.startsWith('>') ? 'upward' : 'downward';
+  }
+  if (alert.window) {
+    return alert.percent > 0 ? 'upward' : 'downward';
+  }
+  return alert.targetPrice > alert.currentPrice ? 'upward' : 'downward';
+}
+
+// Format a value in an alert's unit: USD price, ratio in the quote coin, or spread percent
+function formatAlertValue(alert, value) {
+  if (alert.valueType === 'ratio') {
+    return `${value >= 1 ? formatNumber(value) : value.toPrecision(4)} ${alert.quote}`;
+  }
+  if (alert.valueType === 'spread') {
+    return `${value.toFixed(3)}%`;
+  }
+  return `$${formatNumber(value)}`;
+}
+
+// Market data for whatever an alert measures: the coin's USD price, the ratio of two coins
+// (with a derived 24h change) or the percent spread between two exchanges' quotes
+async function getAlertMarketData(alert, fetchData) {
+  if (alert.valueType === 'ratio') {
+    const [baseData, quoteData] = await Promise.all([
+      fetchData(alert.base, true, alert.baseCoinId),
+      fetchData(alert.quote, true, alert.quoteCoinId)
+    ]);
+    if (!baseData || !quoteData?.price) return null;
+
+    const baseChange = parseFloat(baseData.change24h);
+    const quoteChange = parseFloat(quoteData.change24h);
+    const change24h = Number.isFinite(baseChange) && Number.isFinite(quoteChange)
+      ? (((1 + baseChange / 100) / (1 + quoteChange / 100) - 1) * 100).toFixed(2)
+      : 'N/A';
+
+    return {
+      price: baseData.price / quoteData.price,
+      change24h,
+      timestamp: Date.now(),
+      source: 'ratio'
+    };
+  }
+
+  if (alert.valueType === 'spread') {
+    const quotes = await Promise.all(alert.exchanges.map(exchange => exchangeQuotes.getExchangeQuote(alert.symbol, exchange)));
+    if (quotes.some(quote => !quote)) return null;
+
+    const [quoteA, quoteB] = quotes;
+    return {
+      price: (Math.abs(quoteA.price - quoteB.price) / Math.min(quoteA.price, quoteB.price)) * 100,
+      quotes,
+      timestamp: Date.now(),
+      source: 'exchanges'
+    };
+  }
+
+  return fetchData(alert.symbol, true, alert.coinId);
+}
+
+// Fields describing what a ratio or spread alert measures, and which coins its tickers resolved to
+function getValueSource(definition) {
+  if (definition.valueType === 'ratio') {
+    return {
+      valueType: 'ratio',
+      base: definition.base,
+      quote: definition.quote,
+      baseCoinId: definition.baseCoinId,
+      quoteCoinId: definition.quoteCoinId
+    };
+  }
+  if (definition.valueType === 'spread') {
+    return { valueType: 'spread', exchanges: definition.exchanges };
+  }
+  return { coinId: definition.coinId };
+}
+
+// Copy repeat / expiry options from a parsed definition onto a new alert
+function applyAlertOptions(alert, definition) {
+  if (definition.repeat) {
+    alert.repeat = true;
+    alert.cooldown = definition.cooldownMs || config.ALERT_REPEAT_COOLDOWN;
+    alert.armed = true;
+    alert.triggerCount = 0;
+  }
+  if (definition.oncePerDay) {
+    alert.oncePerDay = true;
+  }
+  if (definition.expiresInMs) {
+    alert.expiresAt = alert.timestamp.getTime() + definition.expiresInMs;
+  }
+  if (definition.urgent) {
+    alert.urgent = true;
+  }
+  if (definition.band) {
+    alert.band = definition.band;
+  }
+  if (definition.near) {
+    alert.near = definition.near;
+    alert.nearNotified = false;
+  }
+  return alert;
+}
+
+// Build a new alert from a parsed /alert definition and the current market data
+function buildAlert(definition, currentData) {
+  const { symbol, percent, window } = definition;
+  let targetPrice = definition.targetPrice;
+
+  if (definition.trailPercent) {
+    const alert = {
+      type: 'trailing',
+      ...getValueSource(definition),
+      symbol: symbol,
+      trailPercent: definition.trailPercent,
+      trailSide: definition.trailSide,
+      extremePrice: currentData.price,
+      currentPrice: currentData.price,
+      timestamp: new Date(),
+      alertId: `${symbol}_trail${definition.trailPercent}_${Date.now()}`,
+      status: 'active'
+    };
+    alert.targetPrice = getTrailLevel(alert);
+    return applyAlertOptions(alert, definition);
+  }
+
+  if (percent !== undefined) {
+    const referencePrice = window ? getWindowReferencePrice(currentData, window) : currentData.price;
+    if (!referencePrice) return null;
+    targetPrice = referencePrice * (1 + percent / 100);
+  }
+
+  const alert = {
+    ...getValueSource(definition),
+    symbol: symbol,
+    targetPrice: targetPrice,
+    currentPrice: currentData.price,
+    timestamp: new Date(),
+    alertId: `${symbol}_${targetPrice}_${Date.now()}`,
+    status: 'active'
+  };
+
+  if (percent !== undefined) alert.percent = percent;
+  if (window) alert.window = window;
+  if (definition.conditions) {
+    alert.type = 'compound';
+    alert.priceOperator = definition.priceOperator;
+    alert.conditions = definition.conditions;
+  }
+
+  return applyAlertOptions(alert, definition);
+}
+
+// Human readable compound rule clause
+function describeCondition(condition) {
+  if (condition.field === 'orderbook') {
+    return `orderbook ${condition.sentiment}`;
+  }
+  if (condition.multiple !== undefined) {
+    return `${condition.field} ${condition.op} ${condition.multiple}x avg`;
+  }
+  if (condition.field === 'change24h') {
+    return `${condition.field} ${condition.op} ${condition.value}%`;
+  }
+  return `${condition.field} ${condition.op} $${formatNumber(condition.value)}`;
+}
+
+// Human readable alert target for listings
+function describeAlertTarget(alert) {
+  const direction = getAlertDirection(alert) === 'upward' ? '📈 ABOVE' : '📉 BELOW';
+  const targetPrice = formatAlertValue(alert, alert.targetPrice);
+
+  if (alert.valueType === 'spread') {
+    return `↔️ SPREAD ${alert.exchanges.join('/')} ≥ ${targetPrice}`;
+  }
+  if (alert.type === 'trailing') {
+    const extremeLabel = alert.trailSide === 'high' ? 'high' : 'low';
+    return `🪜 TRAILING ${alert.trailPercent}% from ${extremeLabel} ${formatAlertValue(alert, alert.extremePrice)} (trigger ${targetPrice})`;
+  }
+  if (alert.type === 'compound') {
+    const clauses = [`price ${alert.priceOperator} ${targetPrice}`, ...alert.conditions.map(describeCondition)];
+    return `🧩 ${clauses.join(' AND ')}`;
+  }
+  if (alert.window) {
+    const sign = alert.percent > 0 ? '+' : '';
+    return `${direction} ${sign}${alert.percent}% over ${alert.window} (now ≈ ${targetPrice})`;
+  }
+  if (alert.percent !== undefined) {
+    const sign = alert.percent > 0 ? '+' : '';
+    return `${direction} ${targetPrice} (${sign}${alert.percent}%)`;
+  }
+  return `${direction} ${targetPrice}`;
+}
+
+// Trailing alerts ratchet their extreme price and fire on a retrace of trailPercent from it
+function evaluateTrailingAlert(alert, currentPrice) {
+  const newExtreme = alert.trailSide === 'high'
+    ? currentPrice > alert.extremePrice
+    : currentPrice < alert.extremePrice;
+
+  if (newExtreme) {
+    alert.extremePrice = currentPrice;
+  }
+  alert.targetPrice = getTrailLevel(alert);
+
+  return alert.trailSide === 'high'
+    ? currentPrice <= alert.targetPrice
+    : currentPrice >= alert.targetPrice;
+}
+
+// Apply a parsed comparison operator
+function compareValues(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return false;
+  }
+}
+
+// Evaluate the non-price clauses of a compound alert; returns matched details or null
+async function evaluateCompoundConditions(alert, currentData) {
+  const details = [];
+
+  for (const condition of alert.conditions) {
+    if (condition.field === 'volume24h') {
+      const volume = currentData.volume24h;
+      if (!Number.isFinite(volume)) return null;
+
+      if (condition.multiple !== undefined) {
+        const baseline = await activityDetector.getVolumeBaseline(alert.symbol);
+        if (!baseline?.avg7DayVolume) return null;
+
+        const multiple = volume / baseline.avg7DayVolume;
+        if (!compareValues(multiple, condition.op, condition.multiple)) return null;
+        details.push(`Volume $${formatNumber(volume)} (${multiple.toFixed(1)}x 7-day avg)`);
+      } else {
+        if (!compareValues(volume, condition.op, condition.value)) return null;
+        details.push(`Volume $${formatNumber(volume)}`);
+      }
+    } else if (condition.field === 'change24h') {
+      const change24h = parseFloat(currentData.change24h);
+      if (!compareValues(change24h, condition.op, condition.value)) return null;
+      details.push(`24h change ${change24h > 0 ? '+' : ''}${change24h.toFixed(2)}%`);
+    } else if (condition.field === 'orderbook') {
+      const orderBook = await orderBookSentiment.analyzeOrderBook(alert.symbol);
+      if (!orderBook) return null;
+
+      const label = orderBook.sentiment.toLowerCase();
+      const matches = condition.sentiment.startsWith('strongly') || condition.sentiment === 'neutral'
+        ? label === condition.sentiment
+        : label.includes(condition.sentiment);
+      if (!matches) return null;
+      details.push(`Order book ${orderBook.sentiment} on ${orderBook.exchange} (imbalance ${(orderBook.imbalance * 100).toFixed(1)}%)`);
+    }
+  }
+
+  return details;
+}
+
+// Every price seen since the previous check (ticks from the live feed plus the current quote),
+// so a wick through the target between checks still counts. Ticks belong to the shared feed's coin,
+// so an alert on another coin with the same ticker only has its own quote.
+function getPriceRange(alert, currentData) {
+  const since = alert.lastCheckedAt || new Date(alert.timestamp).getTime();
+  const ticks = alert.valueType || !symbolResolver.isSharedCoin(alert.symbol, alert.coinId)
+    ? []
+    : priceHistory.getTicks(alert.symbol, since);
+  const prices = [...ticks.map(tick => tick.price), currentData.price];
+
+  return {
+    prices,
+    low: Math.min(...prices),
+    high: Math.max(...prices)
+  };
+}
+
+// Update rolling alert state and decide whether the alert fires; returns the price at which
+// the condition was met (possibly a wick between checks) or null
+async function evaluateAlert(alert, currentData, range) {
+  if (alert.type === 'trailing') {
+    // Replay ticks in order: the trail level depends on which extreme came first
+    for (const price of range.prices) {
+      if (evaluateTrailingAlert(alert, price)) {
+        return price;
+      }
+    }
+    return null;
+  }
+
+  if (alert.type === 'compound') {
+    // Cheap price check first; volume and order book lookups only run once price qualifies
+    const extremePrice = alert.priceOperator.startsWith('>') ? range.high : range.low;
+    if (!compareValues(extremePrice, alert.priceOperator, alert.targetPrice)) {
+      return null;
+    }
+    const details = await evaluateCompoundConditions(alert, currentData);
+    alert.conditionDetails = details || undefined;
+    return details !== null ? extremePrice : null;
+  }
+
+  // Rolling-window alerts move their target with the window's reference price
+  if (alert.window) {
+    const referencePrice = getWindowReferencePrice(currentData, alert.window);
+    if (!referencePrice) {
+      console.log(`❌ No ${alert.window} change data for ${alert.symbol}`);
+      return null;
+    }
+    alert.targetPrice = referencePrice * (1 + alert.percent / 100);
+  }
+
+  if (getAlertDirection(alert) === 'upward') {
+    return range.high >= alert.targetPrice ? range.high : null;
+  }
+  return range.low <= alert.targetPrice ? range.low : null;
+}
+
+// Whether price has moved back through the target since the alert fired. With a hysteresis
+// band it has to clear the target by band% so an alert hovering at the level doesn't flap.
+function hasCrossedBack(alert, range) {
+  const band = (alert.band || 0) / 100;
+
+  return getAlertDirection(alert) === 'upward'
+    ? range.low < alert.targetPrice * (1 - band)
+    : range.high > alert.targetPrice * (1 + band);
+}
+
+// Whether the closest price since the last check came within the alert's near% of the target
+function isApproachingTarget(alert, range) {
+  if (!alert.near || alert.nearNotified || alert.armed === false) return false;
+
+  const closestPrice = getAlertDirection(alert) === 'upward' ? range.high : range.low;
+  return (Math.abs(alert.targetPrice - closestPrice) / alert.targetPrice) * 100 <= alert.near;
+}
+
+// Heads-up before an alert fires: distance left from the current price plus the order book read
+function generateApproachMessage(alert, currentPrice, orderBook) {
+  const direction = getAlertDirection(alert);
+  const remaining = alert.targetPrice - currentPrice;
+  const remainingPercent = (remaining / currentPrice) * 100;
+  const sign = remaining >= 0 ? '+' : '-';
+
+  let message = `👀 **${alert.symbol} APPROACHING TARGET**\n\n`;
+  message += `${direction === 'upward' ? '📈' : '📉'} **${alert.symbol}** is within ${alert.near}% of alert #${alert.number}\n`;
+  message += `**Now:** ${formatAlertValue(alert, currentPrice)} (Target: ${formatAlertValue(alert, alert.targetPrice)})\n`;
+  message += `**Remaining:** ${sign}${formatAlertValue(alert, Math.abs(remaining))} (${sign}${Math.abs(remainingPercent).toFixed(2)}%)\n\n`;
+
+  if (orderBook) {
+    const spreadText = orderBook.spreadPercent !== null ? `${(orderBook.spreadPercent * 100).toFixed(3)}%` : 'n/a';
+    message += `📚 **Order book** (${escapeMarkdown(`${orderBook.exchange} ${orderBook.pair}`)}): ${orderBook.sentiment}\n`;
+    message += `Bids ${orderBook.bidSharePercent.toFixed(1)}% · Asks ${orderBook.askSharePercent.toFixed(1)}% · Spread ${spreadText}\n\n`;
+  }
+
+  message += `💡 Get your orders ready - the alert fires at ${formatAlertValue(alert, alert.targetPrice)}.`;
+  return message;
+}
+
+// Send the one-time near-target warning for an alert
+async function sendApproachWarning(bot, chatId, alert, currentPrice) {
+  alert.nearNotified = true;
+
+  // Ratio alerts read the base coin's book
+  const orderBook = await orderBookSentiment.analyzeOrderBook(alert.valueType === 'ratio' ? alert.base : alert.symbol)
+    .catch(error => {
+      console.log(`Order book unavailable for ${alert.symbol} heads-up:`, error.message);
+      return null;
+    });
+
+  const { delivery } = await notifier.notify(bot, chatId, {
+    text: generateApproachMessage(alert, currentPrice, orderBook),
+    summary: `👀 **${alert.symbol}** nearing ${describeAlertTarget(alert)} - now ${formatAlertValue(alert, currentPrice)}`,
+    urgent: alert.urgent
+  });
+
+  delivery.then(({ status }) => {
+    console.log(`👀 Approach warning ${status} for ${alert.symbol} in chat ${chatId}`);
+    // Try again on a later check if it never arrived; a heads-up Telegram rejected stays sent,
+    // as rebuilding it on every check would only be rejected again
+    if (status === 'failed') {
+      alert.nearNotified = false;
+      saveAlerts();
+    }
+  }).catch(error => {
+    console.error(`Error settling approach warning for ${alert.symbol} in chat ${chatId}:`, error.message);
+  });
+}
+
+// Human readable repeat / expiry options for listings
+function describeAlertOptions(alert) {
+  const parts = [];
+
+  if (alert.oncePerDay) {
+    parts.push('📅 once per day');
+  } else if (alert.repeat) {
+    parts.push(`🔁 repeats (cooldown ${formatDuration(alert.cooldown)})`);
+  }
+  if (alert.repeat && alert.triggerCount > 0) {
+    parts.push(`fired ${alert.triggerCount}x${alert.armed ? '' : ', waiting to re-arm'}`);
+  }
+  if (alert.expiresAt) {
+    parts.push(`⌛ expires in ${formatDuration(alert.expiresAt - Date.now())}`);
+  }
+  if (alert.band) {
+    parts.push(`↕️ ${alert.band}% re-arm band`);
+  }
+  if (alert.near) {
+    parts.push(`👀 heads-up within ${alert.near}%`);
+  }
+  if (alert.urgent) {
+    parts.push('🚨 urgent');
+  }
+
+  return parts.join(' · ');
+}
+
+function getDayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Repeating alerts re-arm after their cooldown once price has crossed back;
+// once-per-day alerts simply re-arm on the next (UTC) day
+function updateRearmState(alert, crossedBack, now) {
+  if (crossedBack) {
+    alert.crossedBack = true;
+  }
+
+  const lastTriggerTime = new Date(alert.triggerTime).getTime();
+  if (now - lastTriggerTime < alert.cooldown) {
+    return false;
+  }
+
+  const ready = alert.oncePerDay
+    ? getDayKey(now) !== getDayKey(lastTriggerTime)
+    : alert.crossedBack;
+
+  if (ready) {
+    alert.armed = true;
+    alert.crossedBack = false;
+    // Each new approach to the target gets its own heads-up
+    alert.nearNotified = false;
+  }
+  return ready;
+}
+
+// Mark an alert as fired and awaiting delivery; repeating alerts wait to re-arm.
+// One-off alerts only become 'triggered' once settleTrigger confirms the notification went out.
+function recordTrigger(alert, currentPrice) {
+  alert.triggerTime = new Date();
+  alert.triggerPrice = currentPrice;
+  alert.deliveryStatus = 'pending';
+
+  if (!alert.repeat) {
+    return;
+  }
+
+  alert.triggerCount = (alert.triggerCount || 0) + 1;
+  alert.armed = false;
+  alert.crossedBack = false;
+
+  // Trailing alerts start a fresh trail from the trigger price
+  if (alert.type === 'trailing') {
+    alert.extremePrice = currentPrice;
+    alert.targetPrice = getTrailLevel(alert);
+  }
+}
+
+// Undo a trigger whose notification never arrived so the alert can fire again
+function revertTrigger(alert) {
+  alert.deliveryStatus = 'failed';
+  if (alert.repeat) {
+    alert.armed = true;
+    alert.triggerCount = Math.max((alert.triggerCount || 1) - 1, 0);
+  }
+}
+
+// Record the delivery outcome of a fired alert: delivered or digest-deferred alerts are logged
+// and one-offs complete; failed ones are reverted; ones Telegram rejected outright are paused,
+// since firing again would only be rejected again; blocked ones are reverted too, so the alert
+// the chat's block paused is armed again when it is resumed
+function settleTrigger(chatId, alert, { status, error }, historyEntry) {
+  if (status === 'delivered' || status === 'deferred') {
+    alert.deliveryStatus = status;
+    if (!alert.repeat) {
+      alert.status = 'triggered';
+    }
+    alertHistory.recordTriggeredAlert(chatId, alert, historyEntry);
+  } else if (status === 'failed') {
+    revertTrigger(alert);
+  } else if (status === 'rejected') {
+    revertTrigger(alert);
+    alert.deliveryStatus = 'rejected';
+    alert.deliveryError = error;
+    alert.status = 'paused';
+    console.log(`⏸ Paused alert #${alert.number} (${alert.symbol}) in chat ${chatId}: notification rejected`);
+  } else if (status === 'blocked') {
+    revertTrigger(alert);
+    alert.deliveryStatus = 'blocked';
+  } else {
+    alert.deliveryStatus = status;
+  }
+  saveAlerts();
+}
+
+// Pause every alert and stop auto alerts for a chat that blocked the bot
+function disableChat(chatId) {
+  (priceAlerts[chatId] || []).forEach(alert => {
+    if (alert.status === 'active') {
+      alert.status = 'paused';
+    }
+  });
+  delete autoAlerts.enabled[chatId];
+  saveAlerts();
+}
+
+// Cancel an alert that reached its expiry and let the user know
+async function expireAlert(bot, chatId, alert) {
+  alert.status = 'expired';
+  alert.expireTime = new Date();
+
+  if (!alert.triggerCount) {
+    alertHistory.recordExpiredAlert(chatId, alert, {
+      target: describeAlertTarget(alert),
+      expiredAt: alert.expireTime.getTime()
+    });
+  }
+
+  const firedNote = alert.triggerCount > 0
+    ? `It fired ${alert.triggerCount} time(s) before expiring.`
+    : 'The target was not reached before it expired.';
+
+  const { delivery } = await notifier.notify(bot, chatId, {
+    text: `⌛ **${alert.symbol} alert expired**\n\n` +
+      `${alert.symbol} ${describeAlertTarget(alert)}\n` +
+      `${firedNote}\n\n` +
+      `💡 Use /alert to set a new one.`,
+    summary: `⌛ ${alert.symbol} ${describeAlertTarget(alert)} expired`
+  });
+  delivery.then(({ status }) => {
+    console.log(`📤 Expiry notice ${status}: ${alert.symbol} for chat ${chatId}`);
+  }).catch(error => {
+    console.error(`Error logging expiry notice for ${alert.symbol} in chat ${chatId}:`, error.message);
+  });
+}
+
+// Effective auto-alert settings for a chat (per-chat overrides on top of config defaults)
+function getAutoAlertSettings(chatId) {
+  const settings = autoAlerts.settings[chatId] || {};
+  return {
+    threshold: settings.threshold || autoAlerts.threshold,
+    cooldown: settings.cooldown || autoAlerts.cooldown,
+    symbols: settings.symbols || [],
+    adaptive: settings.adaptive === true
+  };
+}
+
+// Threshold scaled from a symbol's realized volatility: N standard deviations of the
+// sampled returns, grown by sqrt(time) to the window length. Null while history is too short.
+function getAdaptiveThreshold(symbol, windowMs) {
+  const volatility = priceHistory.getRealizedVolatility(symbol, config.ADAPTIVE_LOOKBACK, config.ADAPTIVE_SAMPLE_INTERVAL);
+  if (!volatility || volatility.samples < config.ADAPTIVE_MIN_SAMPLES) return null;
+
+  const threshold = config.ADAPTIVE_SIGMA_MULTIPLIER * volatility.stdev * Math.sqrt(windowMs / config.ADAPTIVE_SAMPLE_INTERVAL);
+  return Math.min(config.ADAPTIVE_MAX_THRESHOLD, Math.max(config.ADAPTIVE_MIN_THRESHOLD, threshold));
+}
+
+// Threshold per rolling window for a symbol; adaptive mode falls back to the flat threshold while learning
+function getVolatilityThresholds(symbol, settings) {
+  return VOLATILITY_WINDOWS.map(window => {
+    const adaptiveThreshold = settings.adaptive ? getAdaptiveThreshold(symbol, window.ms) : null;
+    return {
+      ...window,
+      threshold: adaptiveThreshold !== null ? adaptiveThreshold : settings.threshold,
+      adaptive: adaptiveThreshold !== null
+    };
+  });
+}
+
+// Store per-chat auto-alert overrides; only the provided fields change
+function updateAutoAlertSettings(chatId, changes) {
+  autoAlerts.settings[chatId] = { ...autoAlerts.settings[chatId], ...changes };
+  autoAlerts.enabled[chatId] = true;
+  saveAlerts();
+  return getAutoAlertSettings(chatId);
+}
+
+function resetAutoAlertSettings(chatId) {
+  delete autoAlerts.settings[chatId];
+  delete autoAlerts.baselines[chatId];
+  saveAlerts();
+  return getAutoAlertSettings(chatId);
+}
+
+function setAutoAlertsEnabled(chatId, enabled) {
+  autoAlerts.enabled[chatId] = enabled;
+  if (!enabled) {
+    delete autoAlerts.baselines[chatId];
+  }
+  saveAlerts();
+}
+
+// Find the shortest rolling window whose move meets its threshold. A window that contains
+// the previous alert is measured from that alert's price so the same move is not reported twice.
+function findVolatilityBreach(symbol, currentData, thresholds, baseline) {
+  const now = Date.now();
+
+  for (const window of thresholds) {
+    const breachInfo = { window: window.label, threshold: window.threshold, adaptive: window.adaptive };
+
+    if (baseline.lastAlertTime > now - window.ms) {
+      const percent = ((currentData.price - baseline.lastAlertPrice) / baseline.lastAlertPrice) * 100;
+      if (Math.abs(percent) >= window.threshold) {
+        return { ...breachInfo, percent, fromPrice: baseline.lastAlertPrice, toPrice: currentData.price, sinceLastAlert: true };
+      }
+      continue;
+    }
+
+    let change = priceHistory.getWindowChange(symbol, window.ms);
+
+    // Until the tick buffer spans a full day, fall back to the feed's own 24h change
+    if (!change && window.ms === 24 * 60 * 60 * 1000) {
+      const change24h = parseFloat(currentData.change24h);
+      if (Number.isFinite(change24h)) {
+        change = {
+          percent: change24h,
+          fromPrice: currentData.price / (1 + change24h / 100),
+          toPrice: currentData.price
+        };
+      }
+    }
+
+    if (change && Math.abs(change.percent) >= window.threshold) {
+      return { ...breachInfo, ...change };
+    }
+  }
+
+  return null;
+}
+
 // Check auto-volatility alerts
 async function checkAutoVolatilityAlerts(bot, realtimePrices) {
-  const trackedSymbols = Array.from(realtimePrices.keys());
+  // Chats without a custom list watch the core set, not every coin some other chat has an alert on
+  const trackedSymbols = config.CORE_SYMBOLS.filter(symbol => realtimePrices.has(symbol));
   
-  if (trackedSymbols.length === 0) return;
-  
-  for (const symbol of trackedSymbols) {
-    try {
-      const currentData = realtimePrices.get(symbol);
-      if (!currentData) continue;
+  if (realtimePrices.size === 0) return;
+
+  let baselinesChanged = false;
+
+  for (const chatId in autoAlerts.enabled) {
+    if (!autoAlerts.enabled[chatId]) continue;
+
+    const settings = getAutoAlertSettings(chatId);
+    const symbols = settings.symbols.length > 0
+      ? settings.symbols.filter(symbol => realtimePrices.has(symbol))
+      : trackedSymbols;
+
+    if (!autoAlerts.baselines[chatId]) {
+      autoAlerts.baselines[chatId] = {};
+    }
+    const chatBaselines = autoAlerts.baselines[chatId];
+
+    for (const symbol of symbols) {
+      try {
+        const currentData = realtimePrices.get(symbol);
+        if (!currentData) continue;
+
+        const currentPrice = currentData.price;
+        const now = Date.now();
+        const baseline = chatBaselines[symbol] || { lastAlertTime: 0 };
+
+        if (now - baseline.lastAlertTime <= settings.cooldown) continue;
+
+        const breach = findVolatilityBreach(symbol, currentData, getVolatilityThresholds(symbol, settings), baseline);
+        if (!breach) continue;
 
-      const currentPrice = currentData.price;
-      const now = Date.now();
+        const direction = breach.percent > 0 ? 'UP' : 'DOWN';
+        const emoji = breach.percent > 0 ? '📈' : '📉';
+        const movePercent = Math.abs(breach.percent);
 
-      // Initialize baseline
-      if (!autoAlerts.baselines[symbol]) {
-        autoAlerts.baselines[symbol] = {
-          price: currentPrice,
-          timestamp: now,
+        const message = `🚨 **VOLATILITY ALERT**\n\n` +
+          `${emoji} **${symbol}** ${direction} ${movePercent.toFixed(1)}% in ${breach.window}\n\n` +
+          `**$${formatNumber(currentPrice)}**\n` +
+          `(was $${formatNumber(breach.fromPrice)} ${breach.sinceLastAlert ? 'at your last alert' : `${breach.window} ago`})\n` +
+          `Change: ${breach.percent > 0 ? '+' : '-'}$${Math.abs(currentPrice - breach.fromPrice).toFixed(2)}\n` +
+          `⏱ ${breach.window} window breached ${breach.adaptive ? 'the adaptive' : 'your'} ±${breach.threshold.toFixed(1)}% threshold by ${(movePercent - breach.threshold).toFixed(1)}%\n\n` +
+          `💡 /price ${symbol} for details`;
+
+        // The cooldown starts now so the next pass doesn't fire again while this one is in the queue
+        const previousBaseline = chatBaselines[symbol];
+        const newBaseline = {
           lastAlertPrice: currentPrice,
-          lastAlertTime: 0
+          lastAlertTime: now,
+          lastWindow: breach.window,
+          deliveryStatus: 'pending'
         };
-        continue;
-      }
+        chatBaselines[symbol] = newBaseline;
+        baselinesChanged = true;
+
+        const { delivery } = await notifier.notify(bot, chatId, {
+          text: message,
+          summary: `${emoji} **${symbol}** ${direction} ${movePercent.toFixed(1)}% in ${breach.window} → $${formatNumber(currentPrice)}`
+        });
+
+        delivery.then(({ status }) => {
+          console.log(`📤 Volatility alert ${status}: ${symbol} ${direction} ${movePercent.toFixed(1)}% (${breach.window}) for chat ${chatId}`);
 
-      const baseline = autoAlerts.baselines[symbol];
-      const priceChangePercent = ((currentPrice - baseline.lastAlertPrice) / baseline.lastAlertPrice) * 100;
-
-      // Check threshold and cooldown
-      if (Math.abs(priceChangePercent) >= autoAlerts.threshold && 
-          now - baseline.lastAlertTime > autoAlerts.cooldown) {
-        
-        const direction = priceChangePercent > 0 ? 'UP' : 'DOWN';
-        const emoji = priceChangePercent > 0 ? '📈' : '📉';
-        
-        // Send to enabled users
-        for (const chatId in autoAlerts.enabled) {
-          if (autoAlerts.enabled[chatId]) {
-            const message = `🚨 **VOLATILITY ALERT**\n\n` +
-              `${emoji} **${symbol}** ${direction} ${Math.abs(priceChangePercent).toFixed(1)}%\n\n` +
-              `**$${formatNumber(currentPrice)}**\n` +
-              `(was $${formatNumber(baseline.lastAlertPrice)})\n` +
-              `Change: ${priceChangePercent > 0 ? '+' : ''}$${Math.abs(currentPrice - baseline.lastAlertPrice).toFixed(2)}\n\n` +
-              `💡 /price ${symbol} for details`;
-
-            try {
-              await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-              console.log(`✅ Volatility alert sent: ${symbol} ${direction} ${Math.abs(priceChangePercent).toFixed(1)}% to chat ${chatId}`);
-            } catch (error) {
-              console.error(`Error sending volatility alert to ${chatId}:`, error.message);
+          // An alert that never arrived shouldn't start a cooldown or move the baseline
+          if (status === 'failed' && chatBaselines[symbol] === newBaseline) {
+            if (previousBaseline) {
+              chatBaselines[symbol] = previousBaseline;
+            } else {
+              delete chatBaselines[symbol];
             }
+          } else {
+            newBaseline.deliveryStatus = status;
           }
-        }
-
-        baseline.lastAlertPrice = currentPrice;
-        baseline.lastAlertTime = now;
+          saveAlerts();
+        }).catch(error => {
+          console.error(`Error settling volatility alert for ${symbol} in chat ${chatId}:`, error.message);
+        });
+      } catch (error) {
+        console.error(`Error checking volatility for ${symbol} in chat ${chatId}:`, error.message);
       }
-
-      await new Promise(resolve => setTimeout(resolve, 200));
-    } catch (error) {
-      console.error(`Error checking volatility for ${symbol}:`, error.message);
     }
   }
+
+  if (baselinesChanged) {
+    saveAlerts();
+  }
 }
 
 // Generate alert analysis
 async function generateAlertAnalysis(alert, currentData, originalPrice) {
   try {
     const analysis = {
-      direction: alert.targetPrice > originalPrice ? 'upward' : 'downward',
+      direction: getAlertDirection(alert),
       priceChange: currentData.price - originalPrice,
       percentChange: ((currentData.price - originalPrice) / originalPrice) * 100,
       timeToTrigger: Date.now() - alert.timestamp.getTime(),
       marketContext: {},
       newsContext: [],
-      unusualActivity: []
+      unusualActivity: [],
+      exchangeQuotes: currentData.quotes || [],
+      currentPrice: currentData.price
     };
 
     const hoursElapsed = analysis.timeToTrigger / (1000 * 60 * 60);
     analysis.priceVelocity = analysis.priceChange / hoursElapsed;
     analysis.percentVelocity = analysis.percentChange / hoursElapsed;
 
+    // Ratios and spreads have no single coin to look up
+    if (alert.valueType) {
+      return analysis;
+    }
+
     // Get market context
     try {
-      const response = await axios.get(`${config.COINGECKO_API}/coins/${getCoinGeckoId(alert.symbol, config.SYMBOL_MAP)}`, {
-        timeout: 5000
+      const coinId = alert.coinId || symbolResolver.getCoinId(alert.symbol);
+      if (!coinId) throw new Error(`No CoinGecko coin known for ${alert.symbol}`);
+
+      const response = await httpScheduler.get(`${config.COINGECKO_API}/coins/${coinId}`, {
+        timeout: 5000,
+        cacheTtl: 300000
       });
 
       if (response.data) {
@@ -135,7 +1019,7 @@ async function generateAlertAnalysis(alert, currentData, originalPrice) {
   } catch (error) {
     console.error('Error generating alert analysis:', error.message);
     return {
-      direction: alert.targetPrice > originalPrice ? 'upward' : 'downward',
+      direction: getAlertDirection(alert),
       error: 'Analysis unavailable'
     };
   }
@@ -145,21 +1029,54 @@ async function generateAlertAnalysis(alert, currentData, originalPrice) {
 function generateAlertMessage(alert, analysis) {
   const direction = analysis.direction;
   const symbol = alert.symbol;
-  const targetPrice = formatNumber(alert.targetPrice);
-  const currentPrice = formatNumber(alert.triggerPrice);
-  const percentChange = Math.abs(analysis.percentChange).toFixed(2);
+  const targetPrice = formatAlertValue(alert, alert.targetPrice);
+  const currentPrice = formatAlertValue(alert, alert.triggerPrice);
+  const percentChange = Math.abs(((alert.triggerPrice - alert.currentPrice) / alert.currentPrice) * 100).toFixed(2);
   const priceChangeAmount = Math.abs(alert.triggerPrice - alert.currentPrice).toFixed(2);
+  // Trailing alerts can fire below their creation price while moving "up" (or vice versa)
+  const changeSign = alert.triggerPrice >= alert.currentPrice ? '+' : '-';
 
   let message = `🚨 **${symbol} ALERT**\n\n`;
 
   if (direction === 'upward') {
     message += `📈 **${symbol}** hit your target!\n`;
-    message += `**$${currentPrice}** (Target: $${targetPrice})\n`;
-    message += `+${percentChange}% (+$${priceChangeAmount})\n\n`;
   } else {
     message += `📉 **${symbol}** hit your target!\n`;
-    message += `**$${currentPrice}** (Target: $${targetPrice})\n`;
-    message += `-${percentChange}% (-$${priceChangeAmount})\n\n`;
+  }
+  message += `**${currentPrice}** (Target: ${targetPrice})\n`;
+
+  if (analysis.currentPrice !== undefined && analysis.currentPrice !== alert.triggerPrice) {
+    message += `⚡ Hit by a wick between checks - now ${formatAlertValue(alert, analysis.currentPrice)}\n`;
+  }
+
+  if (alert.valueType === 'spread') {
+    message += `↔️ ${alert.symbol} spread between ${alert.exchanges.join(' and ')}\n`;
+    analysis.exchangeQuotes?.forEach(quote => {
+      message += `• ${escapeMarkdown(`${quote.exchange} ${quote.pair}`)}: $${formatNumber(quote.price)}\n`;
+    });
+    message += `\n`;
+  } else if (alert.valueType === 'ratio') {
+    message += `${changeSign}${percentChange}% since the alert was set\n\n`;
+  } else {
+    message += `${changeSign}${percentChange}% (${changeSign}$${priceChangeAmount})\n\n`;
+  }
+
+  if (alert.type === 'trailing') {
+    const extremeLabel = alert.trailSide === 'high' ? 'high' : 'low';
+    message += `🪜 Retraced ${alert.trailPercent}% from ${extremeLabel} of ${formatAlertValue(alert, alert.extremePrice)}\n\n`;
+  }
+
+  if (alert.type === 'compound' && alert.conditionDetails) {
+    message += `🧩 All conditions met:\n`;
+    alert.conditionDetails.forEach(detail => {
+      message += `• ${detail}\n`;
+    });
+    message += `\n`;
+  }
+
+  if (alert.window) {
+    const sign = alert.percent > 0 ? '+' : '';
+    message += `📏 ${alert.window} move reached ${sign}${alert.percent}%\n\n`;
   }
 
   if (!analysis.error && analysis.timeToTrigger > 3600000) {
@@ -184,8 +1101,17 @@ function generateAlertMessage(alert, analysis) {
     message += `${emoji} ${analysis.sentimentContext.charAt(0).toUpperCase() + analysis.sentimentContext.slice(1)} community sentiment\n`;
   }
 
+  if (alert.oncePerDay) {
+    message += `📅 Next notification tomorrow at the earliest\n`;
+  } else if (alert.repeat) {
+    const crossBack = alert.band ? `moves ${alert.band}% back past the target` : 'crosses back';
+    message += `🔁 Fired ${alert.triggerCount}x - re-arms after ${formatDuration(alert.cooldown)} once price ${crossBack}\n`;
+  }
+
   message += `\n💡 `;
-  if (direction === 'upward') {
+  if (alert.valueType === 'spread') {
+    message += `Spread opened! Check both order books before acting - quotes move fast.`;
+  } else if (direction === 'upward') {
     message += `Target reached! Consider taking profits or setting a trailing stop.`;
   } else {
     message += `Target reached! Review your position and risk management.`;
@@ -201,53 +1127,87 @@ async function checkAlerts(bot, getCachedCryptoData, realtimePrices) {
 
     await checkAutoVolatilityAlerts(bot, realtimePrices);
 
+    let alertsChanged = false;
+
     for (const chatId in priceAlerts) {
-      const userAlerts = priceAlerts[chatId].filter(alert => alert.status === 'active');
+      // Alerts whose notification is still in the delivery queue sit out until it settles
+      const userAlerts = priceAlerts[chatId].filter(alert => alert.status === 'active' && alert.deliveryStatus !== 'pending');
       console.log(`User ${chatId}: ${userAlerts.length} active alerts`);
 
       for (const alert of userAlerts) {
         try {
-          const currentData = await getCachedCryptoData(alert.symbol, true);
+          if (alert.expiresAt && Date.now() >= alert.expiresAt) {
+            console.log(`⌛ Alert expired for ${alert.symbol} in chat ${chatId}`);
+            await expireAlert(bot, chatId, alert);
+            saveAlerts();
+            continue;
+          }
+
+          // Served from realtimePrices while fresh, CoinGecko otherwise (exchange quotes for spreads)
+          const currentData = await getAlertMarketData(alert, getCachedCryptoData);
 
           if (!currentData) {
             console.log(`❌ No price data for ${alert.symbol}`);
             continue;
           }
 
+          const range = getPriceRange(alert, currentData);
+          const hitPrice = await evaluateAlert(alert, currentData, range);
           const currentPrice = currentData.price;
-          const targetPrice = alert.targetPrice;
           const originalPrice = alert.currentPrice;
 
-          console.log(`📊 ${alert.symbol}: Current: $${currentPrice.toFixed(2)}, Target: $${targetPrice.toFixed(2)}, Original: $${originalPrice.toFixed(2)}`);
+          alert.lastCheckedAt = Date.now();
+          alertsChanged = true;
+
+          if (alert.repeat && !alert.armed && updateRearmState(alert, hasCrossedBack(alert, range), Date.now())) {
+            console.log(`🔁 Alert re-armed for ${alert.symbol} in chat ${chatId}`);
+          }
 
-          const shouldTrigger = (alert.targetPrice > originalPrice && currentPrice >= alert.targetPrice) ||
-                               (alert.targetPrice < originalPrice && currentPrice <= alert.targetPrice);
+          const shouldTrigger = hitPrice !== null && alert.armed !== false;
 
+          console.log(`📊 ${alert.symbol}: Current: ${formatAlertValue(alert, currentPrice)}, Range: ${formatAlertValue(alert, range.low)}-${formatAlertValue(alert, range.high)}, Target: ${formatAlertValue(alert, alert.targetPrice)}, Original: ${formatAlertValue(alert, originalPrice)}`);
           console.log(`🎯 ${alert.symbol} should trigger: ${shouldTrigger}`);
 
           if (shouldTrigger) {
             console.log(`🚨 ALERT TRIGGERING for ${alert.symbol}!`);
 
-            alert.status = 'triggered';
-            alert.triggerTime = new Date();
-            alert.triggerPrice = currentPrice;
+            // Captured before recordTrigger so history gets the target that fired and the previous trigger time
+            const historyEntry = {
+              target: describeAlertTarget(alert),
+              direction: getAlertDirection(alert),
+              triggerPrice: hitPrice,
+              startedAt: new Date(alert.triggerTime || alert.timestamp).getTime()
+            };
+            recordTrigger(alert, hitPrice);
+            saveAlerts();
 
             const analysis = await generateAlertAnalysis(alert, currentData, originalPrice);
             const alertMessage = generateAlertMessage(alert, analysis);
 
-            await bot.sendMessage(chatId, alertMessage, { parse_mode: 'Markdown' });
+            const { delivery } = await notifier.notify(bot, chatId, {
+              text: alertMessage,
+              summary: `🎯 **${alert.symbol}** ${describeAlertTarget(alert)} → ${formatAlertValue(alert, currentPrice)}`,
+              urgent: alert.urgent
+            });
 
-            console.log(`✅ Alert sent for ${alert.symbol} in chat ${chatId}`);
-          }
-          
-          if (userAlerts.indexOf(alert) < userAlerts.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            delivery.then(result => {
+              console.log(`📤 Alert ${result.status} for ${alert.symbol} in chat ${chatId}`);
+              settleTrigger(chatId, alert, result, { ...historyEntry, triggeredAt: alert.triggerTime.getTime() });
+            }).catch(error => {
+              console.error(`Error settling alert for ${alert.symbol} in chat ${chatId}:`, error.message);
+            });
+          } else if (hitPrice === null && isApproachingTarget(alert, range)) {
+            await sendApproachWarning(bot, chatId, alert, currentPrice);
           }
         } catch (error) {
           console.error(`Error checking alert for ${alert.symbol}:`, error.message);
         }
       }
     }
+
+    if (alertsChanged) {
+      saveAlerts();
+    }
   } catch (error) {
     console.error('Error in alert checking system:', error.message);
   }
@@ -271,13 +1231,59 @@ function getAutoAlerts() {
   return autoAlerts;
 }
 
+// Symbols active alerts read prices for: ratio alerts need both legs, spreads use exchange quotes
+function getAlertSymbols() {
+  const symbols = new Set();
+  Object.values(priceAlerts).forEach(userAlerts => {
+    userAlerts.filter(alert => alert.status === 'active').forEach(alert => {
+      if (alert.valueType === 'ratio') {
+        symbols.add(alert.base);
+        symbols.add(alert.quote);
+      } else if (alert.valueType !== 'spread') {
+        symbols.add(alert.symbol);
+      }
+    });
+  });
+  return Array.from(symbols);
+}
+
+// Symbols chats with auto-alerts on have explicitly asked to watch
+function getAutoAlertSymbols() {
+  const symbols = new Set();
+  Object.keys(autoAlerts.enabled).forEach(chatId => {
+    if (!autoAlerts.enabled[chatId]) return;
+    getAutoAlertSettings(chatId).symbols.forEach(symbol => symbols.add(symbol));
+  });
+  return Array.from(symbols);
+}
+
 module.exports = {
+  buildAlert,
+  addAlert,
+  findAlert,
+  deleteAlert,
+  setAlertPaused,
+  editAlertTarget,
+  describeAlertTarget,
+  describeAlertOptions,
+  formatAlertValue,
+  getAlertMarketData,
   checkAlerts,
   checkAutoVolatilityAlerts,
+  getAutoAlertSettings,
+  updateAutoAlertSettings,
+  resetAutoAlertSettings,
+  setAutoAlertsEnabled,
+  getVolatilityThresholds,
   generateAlertAnalysis,
   generateAlertMessage,
+  disableChat,
   startAlertMonitoring,
+  loadAlerts,
+  saveAlerts,
   getPriceAlerts,
-  getAutoAlerts
+  getAutoAlerts,
+  getAlertSymbols,
+  getAutoAlertSymbols
 };
 
@@ -0,0 +1,282 @@
+// Candle Service - OHLCV bars aggregated from live price ticks, backfilled from CoinGecko history
+const config = require('../config/config');
+const storage = require('./storage');
+const httpScheduler = require('./httpScheduler');
+const symbolResolver = require('./symbolResolver');
+const { parseDuration } = require('../utils/helpers');
+
+const STORAGE_KEY = 'candles';
+const INTERVALS = ['1m', '5m', '1h', '1d'];
+const INTERVAL_MS = Object.fromEntries(INTERVALS.map(interval => [interval, parseDuration(interval)]));
+
+// market_chart requests whose automatic granularity matches each interval (5-minute points for a day,
+// hourly up to 90 days, daily beyond). CoinGecko has nothing finer, so 1m bars only come from the feed.
+const BACKFILL_REQUESTS = {
+  '5m': { days: 1 },
+  '1h': { days: 90 },
+  '1d': { days: 365, interval: 'daily' }
+};
+
+// Storage
+// interval -> symbol -> [{ time, open, high, low, close, volume24h, lastUpdate }] in ascending time order.
+// Sources only report rolling 24h volume, so volume24h is the last reading during the bar.
+const bars = Object.fromEntries(INTERVALS.map(interval => [interval, new Map()]));
+const lastBackfill = new Map(); // `${interval}:${symbol}` -> time of the last backfill attempt
+
+function getSeries(interval, symbol) {
+  const series = bars[interval];
+  if (!series.has(symbol)) {
+    series.set(symbol, []);
+  }
+  return series.get(symbol);
+}
+
+function getRetention(interval) {
+  return parseDuration(config.CANDLE_RETENTION[interval]);
+}
+
+function pruneSeries(interval, series, now) {
+  const cutoff = now - getRetention(interval);
+  let expired = 0;
+  while (expired < series.length && series[expired].time < cutoff) {
+    expired++;
+  }
+  if (expired > 0) {
+    series.splice(0, expired);
+  }
+}
+
+// Fold a live tick into the current bar of every interval. Pass volume24h only from sources that report
+// aggregate volume; single-exchange stream ticks update the price but leave volume alone.
+function recordTick(symbol, price, timestamp = Date.now(), volume24h = null) {
+  if (!Number.isFinite(price) || price <= 0) return;
+
+  const key = symbol.toUpperCase();
+  const volume = Number.isFinite(volume24h) ? volume24h : null;
+
+  INTERVALS.forEach(interval => {
+    const ms = INTERVAL_MS[interval];
+    const time = Math.floor(timestamp / ms) * ms;
+    const series = getSeries(interval, key);
+    const bar = series[series.length - 1];
+
+    if (!bar || bar.time < time) {
+      series.push({ time, open: price, high: price, low: price, close: price, volume24h: volume, lastUpdate: timestamp });
+      pruneSeries(interval, series, timestamp);
+      return;
+    }
+
+    // Ticks for a bar that already closed are too late to matter
+    if (bar.time > time) return;
+
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    if (volume !== null) {
+      bar.volume24h = volume;
+    }
+    // A slower source can report after a newer tick; it widens the range but doesn't move the close
+    if (timestamp >= bar.lastUpdate) {
+      bar.close = price;
+      bar.lastUpdate = timestamp;
+    }
+  });
+}
+
+// volume is what traded during the bar. Only a closed daily bar has it: the rolling 24h reading at
+// the end of a UTC day is that day's volume. Shorter or still-forming bars leave it null.
+function toCandle(bar, interval, now) {
+  const { time, open, high, low, close, volume24h } = bar;
+  const complete = time + INTERVAL_MS[interval] <= now;
+  const volume = interval === '1d' && complete ? volume24h : null;
+  return { time, open, high, low, close, volume, volume24h, complete };
+}
+
+// Bars for a symbol, oldest first: { time, open, high, low, close, volume, volume24h, complete }.
+// Options: from / to (ms, on bar open time), limit (most recent N), completeOnly (skip the bar still forming)
+function getCandles(symbol, interval, { from = 0, to = Infinity, limit = null, completeOnly = false } = {}) {
+  if (!INTERVAL_MS[interval]) {
+    throw new Error(`Unknown candle interval "${interval}". Use one of: ${INTERVALS.join(', ')}`);
+  }
+
+  const now = Date.now();
+  const series = bars[interval].get(symbol.toUpperCase()) || [];
+  let candles = series
+    .filter(bar => bar.time >= from && bar.time <= to)
+    .map(bar => toCandle(bar, interval, now))
+    .filter(candle => !completeOnly || candle.complete);
+
+  if (limit) {
+    candles = candles.slice(-limit);
+  }
+  return candles;
+}
+
+function getLatestCandle(symbol, interval) {
+  return getCandles(symbol, interval, { limit: 1 })[0] || null;
+}
+
+// Whether the complete bars in [start, current) have any holes
+function hasGaps(series, interval, start, now) {
+  const ms = INTERVAL_MS[interval];
+  const currentBar = Math.floor(now / ms) * ms;
+  const inRange = series.filter(bar => bar.time >= start && bar.time < currentBar);
+
+  if (inRange.length === 0) return true;
+  if (inRange[0].time - start >= ms) return true;
+  if (currentBar - inRange[inRange.length - 1].time > ms) return true;
+  return inRange.some((bar, index) => index > 0 && bar.time - inRange[index - 1].time > ms);
+}
+
+// Fill missing bars from CoinGecko market_chart samples. Bars the live feed already built are kept.
+// Attempts are throttled per symbol and interval, so coins with short histories don't refetch every call.
+async function backfillCandles(symbol, interval) {
+  const request = BACKFILL_REQUESTS[interval];
+  const key = symbol.toUpperCase();
+  const coinId = symbolResolver.getCoinId(key);
+  const attemptKey = `${interval}:${key}`;
+  const now = Date.now();
+
+  if (!request || !coinId) return false;
+  if (now - (lastBackfill.get(attemptKey) || 0) < config.CANDLE_BACKFILL_COOLDOWN) return false;
+  lastBackfill.set(attemptKey, now);
+
+  const ms = INTERVAL_MS[interval];
+  const days = Math.min(request.days, Math.ceil(getRetention(interval) / INTERVAL_MS['1d']));
+
+  try {
+    const response = await httpScheduler.get(`${config.COINGECKO_API}/coins/${coinId}/market_chart`, {
+      params: { vs_currency: 'usd', days, ...(request.interval ? { interval: request.interval } : {}) },
+      timeout: 15000
+    });
+
+    const prices = response.data?.prices || [];
+    const volumes = new Map((response.data?.total_volumes || []).map(([time, volume]) => [time, volume]));
+    const series = getSeries(interval, key);
+    const existing = new Set(series.map(bar => bar.time));
+    const currentBar = Math.floor(now / ms) * ms;
+    const filled = new Map();
+
+    // A sample is the state at its timestamp, i.e. the close of the bar that ends there
+    prices.forEach(([time, price]) => {
+      const barTime = Math.floor((time - 1) / ms) * ms;
+      if (barTime >= currentBar || existing.has(barTime) || !Number.isFinite(price)) return;
+
+      const bar = filled.get(barTime);
+      const volume24h = volumes.get(time) ?? null;
+      if (!bar) {
+        filled.set(barTime, { time: barTime, open: price, high: price, low: price, close: price, volume24h, lastUpdate: time });
+      } else {
+        bar.high = Math.max(bar.high, price);
+        bar.low = Math.min(bar.low, price);
+        bar.close = price;
+        bar.volume24h = volume24h ?? bar.volume24h;
+        bar.lastUpdate = time;
+      }
+    });
+
+    if (filled.size === 0) return false;
+
+    series.push(...filled.values());
+    series.sort((a, b) => a.time - b.time);
+    pruneSeries(interval, series, now);
+
+    console.log(`🕯️ Backfilled ${filled.size} ${interval} candles for ${key} from CoinGecko`);
+    return true;
+  } catch (error) {
+    console.error(`Error backfilling ${interval} candles for ${key}:`, error.message);
+    return false;
+  }
+}
+
+// Candles for a query, backfilling first when the requested range has holes
+async function ensureCandles(symbol, interval, count) {
+  const key = symbol.toUpperCase();
+  const now = Date.now();
+  const start = Math.floor(now / INTERVAL_MS[interval]) * INTERVAL_MS[interval] - count * INTERVAL_MS[interval];
+
+  if (hasGaps(bars[interval].get(key) || [], interval, start, now)) {
+    await backfillCandles(key, interval);
+  }
+  return getCandles(key, interval, { from: start });
+}
+
+// Backfill every interval with holes across its retention window for the given symbols
+async function backfillGaps(symbols) {
+  const now = Date.now();
+
+  for (const symbol of symbols) {
+    for (const interval of Object.keys(BACKFILL_REQUESTS)) {
+      const series = bars[interval].get(symbol.toUpperCase()) || [];
+      const coverage = Math.min(getRetention(interval), BACKFILL_REQUESTS[interval].days * INTERVAL_MS['1d']);
+      const start = Math.ceil((now - coverage) / INTERVAL_MS[interval]) * INTERVAL_MS[interval];
+
+      if (hasGaps(series, interval, start, now)) {
+        await backfillCandles(symbol, interval);
+      }
+    }
+  }
+}
+
+// Restore persisted bars, dropping any past their retention
+function loadCandles() {
+  const saved = storage.load(STORAGE_KEY, {});
+  const now = Date.now();
+  let symbolCount = 0;
+
+  INTERVALS.forEach(interval => {
+    bars[interval].clear();
+    Object.entries(saved[interval] || {}).forEach(([symbol, entries]) => {
+      const series = entries.map(([time, open, high, low, close, volume24h]) => ({
+        time, open, high, low, close, volume24h, lastUpdate: time
+      }));
+      pruneSeries(interval, series, now);
+      if (series.length > 0) {
+        bars[interval].set(symbol, series);
+      }
+    });
+    symbolCount = Math.max(symbolCount, bars[interval].size);
+  });
+
+  console.log(`💾 Loaded candles for ${symbolCount} symbol(s) from storage`);
+}
+
+// Persist bars as compact [time, open, high, low, close, volume24h] rows
+function saveCandles() {
+  const now = Date.now();
+  const snapshot = {};
+
+  INTERVALS.forEach(interval => {
+    snapshot[interval] = {};
+    bars[interval].forEach((series, symbol) => {
+      pruneSeries(interval, series, now);
+      snapshot[interval][symbol] = series.map(bar => [bar.time, bar.open, bar.high, bar.low, bar.close, bar.volume24h]);
+    });
+  });
+
+  return storage.save(STORAGE_KEY, snapshot);
+}
+
+// Persist periodically and keep the tracked symbols' history free of holes
+function startCandleMaintenance(getSymbols) {
+  setInterval(saveCandles, config.CANDLE_SAVE_INTERVAL);
+
+  const fillGaps = () => backfillGaps(getSymbols()).catch(error => {
+    console.error('Error backfilling candles:', error.message);
+  });
+  setTimeout(fillGaps, config.CANDLE_BACKFILL_DELAY);
+  setInterval(fillGaps, config.CANDLE_BACKFILL_INTERVAL);
+
+  console.log('🕯️ Candle aggregation started...');
+}
+
+module.exports = {
+  INTERVALS,
+  recordTick,
+  getCandles,
+  getLatestCandle,
+  ensureCandles,
+  backfillCandles,
+  loadCandles,
+  saveCandles,
+  startCandleMaintenance
+};
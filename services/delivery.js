@@ -0,0 +1,173 @@
+// Delivery Service - Outgoing alert queue with Telegram rate-limit handling, retries and blocked-chat detection
+const config = require('../config/config');
+
+// Storage
+const queue = []; // pending jobs { bot, chatId, text, options, attempts, resolve }, oldest first
+const holds = {}; // per-chat time before which nothing is sent (429 retry_after or retry backoff)
+const blockedChats = new Set(); // chats that answered 403 since they last messaged the bot
+const chatBlockedHandlers = [];
+let processing = false;
+let wakeTimer = null; // { timer, wakeAt } for the pending wake-up
+
+// Register a handler called once with the chat id when a chat blocks the bot
+function onChatBlocked(handler) {
+  chatBlockedHandlers.push(handler);
+}
+
+// A chat that messages the bot again has unblocked it
+function markChatActive(chatId) {
+  blockedChats.delete(String(chatId));
+}
+
+// Sort a sendMessage error into rate limited (with Telegram's retry delay), blocked, transient or permanent
+function classifyError(error) {
+  const body = error.response?.body || {};
+  const statusCode = error.response?.statusCode || body.error_code;
+
+  if (statusCode === 429) {
+    const retryAfter = parseInt(body.parameters?.retry_after, 10);
+    return { kind: 'rate_limited', delay: (Number.isFinite(retryAfter) ? retryAfter : 1) * 1000 };
+  }
+  if (statusCode === 403) {
+    return { kind: 'blocked' };
+  }
+  // Network errors carry no status code; Telegram 5xx are worth another try as well
+  if (!statusCode || statusCode >= 500) {
+    return { kind: 'transient' };
+  }
+  return { kind: 'permanent' };
+}
+
+// Drop everything queued for a chat that blocked the bot and tell subscribers to stop pushing to it
+function handleBlockedChat(chatId) {
+  const key = String(chatId);
+  blockedChats.add(key);
+
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (String(queue[i].chatId) === key) {
+      queue.splice(i, 1)[0].resolve({ status: 'blocked' });
+    }
+  }
+
+  console.log(`🚫 Chat ${chatId} blocked the bot - disabling its alerts and subscriptions`);
+  chatBlockedHandlers.forEach(handler => {
+    try {
+      handler(chatId);
+    } catch (error) {
+      console.error(`Error disabling blocked chat ${chatId}:`, error.message);
+    }
+  });
+}
+
+// Try one job; returns true when the job is finished (delivered or given up on)
+async function attemptJob(job) {
+  try {
+    await job.bot.sendMessage(job.chatId, job.text, job.options);
+    job.resolve({ status: 'delivered' });
+    return true;
+  } catch (error) {
+    const failure = classifyError(error);
+
+    if (failure.kind === 'blocked') {
+      handleBlockedChat(job.chatId);
+      return true;
+    }
+
+    if (failure.kind === 'rate_limited') {
+      holds[job.chatId] = Date.now() + failure.delay;
+      console.log(`⏳ Telegram rate limit for chat ${job.chatId}, retrying in ${failure.delay / 1000}s`);
+      return false;
+    }
+
+    job.attempts++;
+    if (failure.kind === 'transient' && job.attempts < config.DELIVERY_MAX_ATTEMPTS) {
+      const delay = config.DELIVERY_RETRY_DELAY * 2 ** (job.attempts - 1);
+      holds[job.chatId] = Date.now() + delay;
+      console.log(`🔁 Delivery to chat ${job.chatId} failed (${error.message}), attempt ${job.attempts}/${config.DELIVERY_MAX_ATTEMPTS}, retrying in ${delay / 1000}s`);
+      return false;
+    }
+
+    // Telegram refused this message outright (bad Markdown, too long, chat not found); sending it again won't help
+    if (failure.kind === 'permanent') {
+      console.error(`❌ Telegram rejected delivery to chat ${job.chatId}:`, error.message);
+      job.resolve({ status: 'rejected', error: error.message });
+      return true;
+    }
+
+    console.error(`❌ Giving up on delivery to chat ${job.chatId} after ${job.attempts} attempt(s):`, error.message);
+    job.resolve({ status: 'failed', error: error.message });
+    return true;
+  }
+}
+
+// Wake the worker when the earliest hold on a queued chat runs out, moving a pending wake-up
+// earlier when a shorter hold or a newly queued chat needs it sooner
+function scheduleWake() {
+  if (queue.length === 0) return;
+
+  const now = Date.now();
+  const nextTime = Math.min(...queue.map(job => Math.max(holds[job.chatId] || 0, now)));
+  if (wakeTimer) {
+    if (nextTime >= wakeTimer.wakeAt) return;
+    clearTimeout(wakeTimer.timer);
+  }
+
+  wakeTimer = {
+    wakeAt: nextTime,
+    timer: setTimeout(() => {
+      wakeTimer = null;
+      processQueue();
+    }, nextTime - now)
+  };
+}
+
+// Send queued jobs one at a time. A chat on hold keeps its place so its messages stay in order,
+// while other chats carry on.
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (true) {
+      const now = Date.now();
+      const job = queue.find(candidate => !(holds[candidate.chatId] > now));
+      if (!job) break;
+
+      const finished = await attemptJob(job);
+      if (finished) {
+        const index = queue.indexOf(job);
+        if (index !== -1) queue.splice(index, 1);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, config.DELIVERY_MIN_INTERVAL));
+    }
+  } finally {
+    processing = false;
+  }
+
+  scheduleWake();
+}
+
+// Queue a message; resolves with { status, error } once it is settled. status is 'delivered', 'failed'
+// (retries ran out), 'rejected' (Telegram refused the message itself) or 'blocked'
+function deliver(bot, chatId, text, options = { parse_mode: 'Markdown' }) {
+  if (blockedChats.has(String(chatId))) {
+    return Promise.resolve({ status: 'blocked' });
+  }
+
+  return new Promise(resolve => {
+    queue.push({ bot, chatId, text, options, attempts: 0, resolve });
+    processQueue();
+  });
+}
+
+function getQueueLength() {
+  return queue.length;
+}
+
+module.exports = {
+  deliver,
+  onChatBlocked,
+  markChatActive,
+  getQueueLength
+};
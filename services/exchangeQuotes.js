@@ -0,0 +1,84 @@
+// Exchange Quotes Service - Last-trade prices from individual exchanges for spread alerts
+const httpScheduler = require('./httpScheduler');
+const config = require('../config/config');
+
+// Per-exchange spot price fetchers; each returns the last price for SYMBOL against USD(T)
+const EXCHANGES = {
+  binance: {
+    name: 'Binance',
+    async fetchPrice(symbol) {
+      const response = await httpScheduler.get('https://api.binance.com/api/v3/ticker/price', {
+        params: { symbol: `${symbol}USDT` },
+        timeout: 4000
+      });
+      return { pair: `${symbol}USDT`, price: parseFloat(response.data?.price) };
+    }
+  },
+  kucoin: {
+    name: 'KuCoin',
+    async fetchPrice(symbol) {
+      const response = await httpScheduler.get('https://api.kucoin.com/api/v1/market/orderbook/level1', {
+        params: { symbol: `${symbol}-USDT` },
+        timeout: 4000
+      });
+      return { pair: `${symbol}-USDT`, price: parseFloat(response.data?.data?.price) };
+    }
+  },
+  gateio: {
+    name: 'Gate.io',
+    async fetchPrice(symbol) {
+      const response = await httpScheduler.get('https://api.gateio.ws/api/v4/spot/tickers', {
+        params: { currency_pair: `${symbol}_USDT` },
+        headers: { 'Accept': 'application/json' },
+        timeout: 4000
+      });
+      return { pair: `${symbol}_USDT`, price: parseFloat(response.data?.[0]?.last) };
+    }
+  },
+  coinbase: {
+    name: 'Coinbase',
+    async fetchPrice(symbol) {
+      const response = await httpScheduler.get(`https://api.coinbase.com/v2/prices/${symbol}-USD/spot`, {
+        timeout: 4000
+      });
+      return { pair: `${symbol}-USD`, price: parseFloat(response.data?.data?.amount) };
+    }
+  }
+};
+
+// Storage
+const quoteCache = new Map(); // "exchange:SYMBOL" -> quote, reused within the freshness window
+
+// Latest price for a symbol on one exchange, or null if the exchange doesn't list it
+async function getExchangeQuote(symbol, exchange) {
+  const adapter = EXCHANGES[exchange];
+  if (!adapter) return null;
+
+  const symbolUpper = symbol.toUpperCase();
+  const cacheKey = `${exchange}:${symbolUpper}`;
+  const cached = quoteCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < config.PRICE_FRESHNESS_WINDOW) {
+    return cached;
+  }
+
+  try {
+    const { pair, price } = await adapter.fetchPrice(symbolUpper);
+    if (!Number.isFinite(price) || price <= 0) return null;
+
+    const quote = { exchange: adapter.name, pair, price, timestamp: Date.now() };
+    quoteCache.set(cacheKey, quote);
+    return quote;
+  } catch (error) {
+    console.log(`Exchange quote error (${adapter.name} ${symbolUpper}):`, error.message);
+    return null;
+  }
+}
+
+function getSupportedExchanges() {
+  return Object.keys(EXCHANGES);
+}
+
+module.exports = {
+  getExchangeQuote,
+  getSupportedExchanges
+};
@@ -0,0 +1,156 @@
+// HTTP Scheduler - Shared rate limiting, request coalescing and response caching for upstream APIs
+const axios = require('axios');
+const config = require('../config/config');
+
+// Storage
+const hosts = new Map(); // host -> { tokens, lastRefill, queue, blockedUntil, timer }
+const inFlight = new Map(); // request key -> pending response promise
+const responseCache = new Map(); // request key -> { response, expiresAt }
+
+function getLimits(host) {
+  return { ...config.HTTP_RATE_LIMITS.default, ...config.HTTP_RATE_LIMITS[host] };
+}
+
+function getHostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      tokens: getLimits(host).burst,
+      lastRefill: Date.now(),
+      queue: [], // [{ resolve, reject, queuedAt }]
+      blockedUntil: 0,
+      timer: null
+    });
+  }
+  return hosts.get(host);
+}
+
+// Same URL and params means the same request, whatever order the params were given in
+function getRequestKey(url, params = {}) {
+  const query = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  return query ? `${url}?${query}` : url;
+}
+
+// Shaped like an axios 429 so callers' existing rate-limit handling applies
+function createRateLimitError(host, until) {
+  const error = new Error(`${host} rate limited for another ${Math.ceil((until - Date.now()) / 1000)}s`);
+  error.code = 'ERR_RATE_LIMITED';
+  error.response = { status: 429 };
+  return error;
+}
+
+// Top the host's bucket up for the time elapsed, then release queued requests while tokens last.
+// Requests still waiting reschedule the drain for when the next token is due.
+function drain(host) {
+  const state = getHostState(host);
+  const limits = getLimits(host);
+  const now = Date.now();
+
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  if (now < state.blockedUntil) {
+    state.queue.splice(0).forEach(({ reject }) => reject(createRateLimitError(host, state.blockedUntil)));
+    return;
+  }
+
+  state.tokens = Math.min(limits.burst, state.tokens + (now - state.lastRefill) * limits.perMinute / 60000);
+  state.lastRefill = now;
+
+  while (state.queue.length > 0 && now - state.queue[0].queuedAt > config.HTTP_MAX_QUEUE_WAIT) {
+    const error = new Error(`Timed out waiting for a ${host} request slot`);
+    error.code = 'ERR_QUEUE_TIMEOUT';
+    state.queue.shift().reject(error);
+  }
+
+  while (state.queue.length > 0 && state.tokens >= 1) {
+    state.tokens -= 1;
+    state.queue.shift().resolve();
+  }
+
+  if (state.queue.length > 0) {
+    state.timer = setTimeout(() => drain(host), Math.ceil((1 - state.tokens) * 60000 / limits.perMinute));
+  }
+}
+
+function acquireSlot(host) {
+  const state = getHostState(host);
+  if (Date.now() < state.blockedUntil) {
+    return Promise.reject(createRateLimitError(host, state.blockedUntil));
+  }
+
+  return new Promise((resolve, reject) => {
+    state.queue.push({ resolve, reject, queuedAt: Date.now() });
+    drain(host);
+  });
+}
+
+// A 429 pauses every caller of that host, for Retry-After when the API sends one
+function startBackoff(host, error) {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  const backoff = Number.isFinite(retryAfter) ? retryAfter * 1000 : config.RATE_LIMIT_BACKOFF;
+  const state = getHostState(host);
+
+  state.blockedUntil = Math.max(state.blockedUntil, Date.now() + backoff);
+  console.log(`🚫 ${host} rate limited, pausing all requests for ${Math.round(backoff / 1000)}s`);
+  drain(host);
+}
+
+function pruneCache(now) {
+  if (responseCache.size < config.HTTP_CACHE_MAX_ENTRIES) return;
+
+  responseCache.forEach((entry, key) => {
+    if (now >= entry.expiresAt) responseCache.delete(key);
+  });
+  // Still full: drop the oldest entries (Map keeps insertion order)
+  const overflow = responseCache.size - config.HTTP_CACHE_MAX_ENTRIES + 1;
+  Array.from(responseCache.keys()).slice(0, Math.max(0, overflow)).forEach(key => responseCache.delete(key));
+}
+
+async function send(url, host, key, axiosOptions, cacheTtl) {
+  await acquireSlot(host);
+
+  try {
+    const response = await axios.get(url, axiosOptions);
+    if (cacheTtl > 0) {
+      const now = Date.now();
+      pruneCache(now);
+      responseCache.set(key, { response, expiresAt: now + cacheTtl });
+    }
+    return response;
+  } catch (error) {
+    if (error.response?.status === 429) {
+      startBackoff(host, error);
+    }
+    throw error;
+  }
+}
+
+// GET through the scheduler. Accepts axios options plus cacheTtl (ms) to reuse the response;
+// identical requests already in flight share one upstream call. Resolves with the axios response.
+function get(url, options = {}) {
+  const { cacheTtl = 0, ...axiosOptions } = options;
+  const key = getRequestKey(url, axiosOptions.params);
+
+  const cached = responseCache.get(key);
+  if (cached && Date.now() < cached.expiresAt) {
+    return Promise.resolve(cached.response);
+  }
+
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = send(url, new URL(url).host, key, axiosOptions, cacheTtl).finally(() => inFlight.delete(key));
+  inFlight.set(key, request);
+  return request;
+}
+
+// Whether requests to this URL's host are currently paused after a 429
+function isRateLimited(url) {
+  return Date.now() < (hosts.get(new URL(url).host)?.blockedUntil || 0);
+}
+
+module.exports = {
+  get,
+  isRateLimited
+};
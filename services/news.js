@@ -1,9 +1,9 @@
 // News Service - Aggregates and analyzes cryptocurrency news from multiple sources
-const axios = require('axios');
+const httpScheduler = require('./httpScheduler');
 const cheerio = require('cheerio');
 const OpenAI = require('openai');
 const config = require('../config/config');
-const { getCoinGeckoId } = require('../utils/helpers');
+const symbolResolver = require('./symbolResolver');
 const activityDetector = require('./activityDetector');
 const orderBookSentiment = require('./orderBookSentiment');
 
@@ -80,13 +80,15 @@ function buildTwitterKeywords(symbol, name, slug) {
   return Array.from(keywords).filter(Boolean).slice(0, 8);
 }
 
-async function getSymbolContext(symbol) {
+// Search context for a ticker; coinId picks the coin when the chat chose one other than the default
+async function getSymbolContext(symbol, coinId = null) {
   const cacheKey = symbol.toUpperCase();
-  if (SYMBOL_CONTEXT_CACHE.has(cacheKey)) {
-    return SYMBOL_CONTEXT_CACHE.get(cacheKey);
+  const slug = coinId || symbolResolver.getCoinId(symbol);
+  const contextKey = `${cacheKey}:${slug}`;
+  if (SYMBOL_CONTEXT_CACHE.has(contextKey)) {
+    return SYMBOL_CONTEXT_CACHE.get(contextKey);
   }
 
-  const slug = getCoinGeckoId(symbol, config.SYMBOL_MAP);
   const keywords = new Set();
   keywords.add(symbol.toLowerCase());
 
@@ -106,7 +108,7 @@ async function getSymbolContext(symbol) {
 
   if (slug) {
     try {
-      const response = await axios.get(`${config.COINGECKO_API}/coins/${slug}`, {
+      const response = await httpScheduler.get(`${config.COINGECKO_API}/coins/${slug}`, {
         params: {
           localization: false,
           tickers: false,
@@ -167,7 +169,7 @@ async function getSymbolContext(symbol) {
   };
   context.primarySearchTerm = primaryName || (slug ? slug.replace(/-/g, ' ') : cacheKey);
 
-  SYMBOL_CONTEXT_CACHE.set(cacheKey, context);
+  SYMBOL_CONTEXT_CACHE.set(contextKey, context);
   return context;
 }
 
@@ -265,11 +267,11 @@ async function getQualityRedditNews(symbol, symbolContext) {
       const subreddit = subredditInfo.name;
       try {
         const [hotResponse, topResponse] = await Promise.all([
-          axios.get(`https://www.reddit.com/r/${subreddit}/hot.json`, {
+          httpScheduler.get(`https://www.reddit.com/r/${subreddit}/hot.json`, {
             params: { limit: 30 },
             headers: { 'User-Agent': 'rCryptoBot/1.0' }
           }),
-          axios.get(`https://www.reddit.com/r/${subreddit}/top.json`, {
+          httpScheduler.get(`https://www.reddit.com/r/${subreddit}/top.json`, {
             params: { limit: 30, t: 'week' },
             headers: { 'User-Agent': 'rCryptoBot/1.0' }
           })
@@ -411,7 +413,7 @@ function calculateEnhancedQualityScore(postData, subredditQuality) {
 
 async function getRedditPostContent(permalink) {
   try {
-    const response = await axios.get(`https://www.reddit.com${permalink}.json`, {
+    const response = await httpScheduler.get(`https://www.reddit.com${permalink}.json`, {
       headers: { 'User-Agent': 'rCryptoBot/1.0' },
       timeout: 3000
     });
@@ -444,7 +446,7 @@ async function getRedditPostContent(permalink) {
 async function getCryptoCompareNews(symbol, symbolContext) {
   try {
     const context = symbolContext || await getSymbolContext(symbol);
-    const response = await axios.get(`${NEWS_SOURCES.CRYPTOCOMPARE}?lang=EN`, {
+    const response = await httpScheduler.get(`${NEWS_SOURCES.CRYPTOCOMPARE}?lang=EN`, {
       timeout: 5000,
       headers: { 'User-Agent': 'rCryptoBot/1.0' }
     });
@@ -492,7 +494,7 @@ async function getCryptoPanicNews(symbol, symbolContext) {
       currencies.add(context.coinId.toLowerCase());
     }
     
-    const response = await axios.get(`${NEWS_SOURCES.CRYPTOPANIC}/posts/`, {
+    const response = await httpScheduler.get(`${NEWS_SOURCES.CRYPTOPANIC}/posts/`, {
       params: {
         auth_token: config.CRYPTOPANIC_API_KEY,
         currencies: Array.from(currencies).join(','),
@@ -529,7 +531,7 @@ async function getCryptoPanicNews(symbol, symbolContext) {
 // Parse RSS feed
 async function parseRSSFeed(feedUrl, feedName) {
   try {
-    const response = await axios.get(feedUrl, {
+    const response = await httpScheduler.get(feedUrl, {
       timeout: 5000,
       headers: { 
         'User-Agent': 'rCryptoBot/1.0',
@@ -604,7 +606,7 @@ async function getGoogleNews(symbol, symbolContext) {
     const query = encodeURIComponent(Array.from(queryTerms).filter(Boolean).join(' '));
     const rssUrl = `https://news.google.com/rss/search?q=${query}&hl=en-US&gl=US&ceid=US:en`;
     
-    const response = await axios.get(rssUrl, {
+    const response = await httpScheduler.get(rssUrl, {
       timeout: 5000,
       headers: { 
         'User-Agent': 'rCryptoBot/1.0',
@@ -671,7 +673,7 @@ async function getTwitterNews(symbol, symbolContext) {
     const combinedQuery = `(${keywordQuery}) (${authorQuery}) -is:retweet lang:en`;
     
     try {
-      const response = await axios.get('https://api.twitter.com/2/tweets/search/recent', {
+      const response = await httpScheduler.get('https://api.twitter.com/2/tweets/search/recent', {
         params: {
           query: combinedQuery,
           max_results: 50, // Get more from whale accounts
@@ -792,12 +794,14 @@ function calculateNewsQualityScore(newsItem) {
   return score;
 }
 
-// Aggregate all news sources
-async function aggregateQualityNews(symbol, getCachedCryptoData) {
+// Aggregate all news sources. Order books and activity are read by ticker, so they're skipped
+// when the chat picked a coin other than the one the ticker's market data belongs to.
+async function aggregateQualityNews(symbol, getCachedCryptoData, coinId = null) {
   let symbolContext;
   try {
     console.log(`Aggregating high-quality news from multiple sources for ${symbol}...`);
-    symbolContext = await getSymbolContext(symbol);
+    symbolContext = await getSymbolContext(symbol, coinId);
+    const sharedCoin = symbolResolver.isSharedCoin(symbol, coinId);
 
     // Fetch from all sources in parallel
     const [
@@ -816,8 +820,8 @@ async function aggregateQualityNews(symbol, getCachedCryptoData) {
       getRSSNews(symbol, symbolContext),
       getGoogleNews(symbol, symbolContext),
       getTwitterNews(symbol, symbolContext),
-      orderBookSentiment.analyzeOrderBook(symbol),
-      activityDetector.detectUnusualActivity(symbol, getCachedCryptoData)
+      sharedCoin ? orderBookSentiment.analyzeOrderBook(symbol) : null,
+      sharedCoin ? activityDetector.detectUnusualActivity(symbol, getCachedCryptoData) : []
     ]);
 
     // Combine all general news sources
@@ -1316,6 +1320,13 @@ function cleanTweetContent(content) {
 }
 
 module.exports = {
+  getSymbolContext,
+  escapeRegex,
+  matchesSymbolText,
+  getCryptoCompareNews,
+  getCryptoPanicNews,
+  getRSSNews,
+  getGoogleNews,
   getQualityRedditNews,
   aggregateQualityNews,
   getComprehensiveBriefing,
@@ -0,0 +1,199 @@
+// News Watch Service - Polls news sources and pushes headlines matching per-chat keyword rules
+const config = require('../config/config');
+const storage = require('./storage');
+const news = require('./news');
+const notifier = require('./notifier');
+const { escapeMarkdown } = require('../utils/helpers');
+
+const STORAGE_KEY = 'newsWatch';
+
+// Storage
+const watches = {}; // per-chat, per-symbol [keywords]
+const seen = {}; // per-symbol { url: firstSeenTime }; a symbol without an entry has never been polled
+
+// Restore keyword rules and already-seen article URLs from storage
+function loadNewsWatch() {
+  const saved = storage.load(STORAGE_KEY, { watches: {}, seen: {} });
+  Object.assign(watches, saved.watches);
+  Object.assign(seen, saved.seen);
+
+  const ruleCount = Object.values(watches).reduce((sum, chatWatches) => sum + Object.keys(chatWatches).length, 0);
+  console.log(`💾 Loaded ${ruleCount} news watch rule(s) from storage`);
+}
+
+function saveNewsWatch() {
+  return storage.save(STORAGE_KEY, { watches, seen });
+}
+
+function getNewsWatches(chatId) {
+  return Object.entries(watches[chatId] || {}).map(([symbol, keywords]) => ({ symbol, keywords }));
+}
+
+// Watch a symbol for headlines containing any of the keywords (config defaults when none given)
+function setNewsWatch(chatId, symbol, keywords = []) {
+  if (!watches[chatId]) {
+    watches[chatId] = {};
+  }
+  watches[chatId][symbol] = keywords.length > 0 ? keywords : [...config.NEWS_WATCH_DEFAULT_KEYWORDS];
+  saveNewsWatch();
+  return watches[chatId][symbol];
+}
+
+function removeNewsWatch(chatId, symbol) {
+  if (!watches[chatId]?.[symbol]) return false;
+
+  delete watches[chatId][symbol];
+  if (Object.keys(watches[chatId]).length === 0) {
+    delete watches[chatId];
+  }
+  saveNewsWatch();
+  return true;
+}
+
+// Fetch recent symbol-relevant articles from every incremental source, keyed by URL
+async function fetchSymbolArticles(symbol) {
+  const context = await news.getSymbolContext(symbol);
+  const results = await Promise.all([
+    news.getRSSNews(symbol, context),
+    news.getCryptoCompareNews(symbol, context),
+    news.getCryptoPanicNews(symbol, context),
+    news.getGoogleNews(symbol, context)
+  ]);
+
+  const articles = new Map();
+  results.flat().forEach(article => {
+    if (article?.url && article.title && !articles.has(article.url)) {
+      articles.set(article.url, article);
+    }
+  });
+  return articles;
+}
+
+// Whole-word pattern for a rule keyword; spaces and hyphens inside it match either
+function buildWatchPattern(keyword) {
+  const escaped = news.escapeRegex(keyword.trim().toLowerCase())
+    .replace(/\s+/g, '\\s+')
+    .replace(/\\?-+/g, '[\\s\\-]+');
+  return new RegExp(`\\b${escaped}\\b`, 'i');
+}
+
+// Keywords from a rule that appear in a headline
+function findMatchingKeywords(headline, keywords) {
+  return keywords.filter(keyword => keyword.trim() && buildWatchPattern(keyword).test(headline));
+}
+
+// Percent-encode the characters that would end or break a Markdown link target
+function encodeLinkUrl(url) {
+  return url.replace(/[()_*`[\]]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function generateNewsMessage(symbol, article, matchedKeywords) {
+  return `📰 **BREAKING: ${symbol}**\n\n` +
+    `${escapeMarkdown(article.title.trim())}\n\n` +
+    `**Source:** ${escapeMarkdown(article.source || 'Unknown')}\n` +
+    `**Matched:** ${escapeMarkdown(matchedKeywords.join(', '))}\n\n` +
+    `[Read article](${encodeLinkUrl(article.url)})`;
+}
+
+// Forget URLs older than the retention window
+function pruneSeen(symbol, now) {
+  Object.keys(seen[symbol]).forEach(url => {
+    if (now - seen[symbol][url] > config.NEWS_WATCH_SEEN_RETENTION) {
+      delete seen[symbol][url];
+    }
+  });
+}
+
+// Poll each watched symbol once; unseen articles are matched against every chat's rules.
+// The first poll for a symbol only records what is already out there so old headlines aren't pushed.
+async function checkNewsWatches(bot) {
+  const symbols = new Set();
+  Object.values(watches).forEach(chatWatches => Object.keys(chatWatches).forEach(symbol => symbols.add(symbol)));
+
+  // Symbols nobody watches anymore start over with a silent seeding poll if watched again
+  Object.keys(seen).forEach(symbol => {
+    if (!symbols.has(symbol)) {
+      delete seen[symbol];
+    }
+  });
+
+  if (symbols.size === 0) return;
+
+  const now = Date.now();
+
+  for (const symbol of symbols) {
+    let articles;
+    try {
+      articles = await fetchSymbolArticles(symbol);
+    } catch (error) {
+      console.error(`Error fetching watched news for ${symbol}:`, error.message);
+      continue;
+    }
+
+    const firstPoll = !seen[symbol];
+    if (firstPoll) {
+      seen[symbol] = {};
+    }
+
+    for (const [url, article] of articles) {
+      if (seen[symbol][url]) continue;
+      seen[symbol][url] = now;
+
+      if (firstPoll) continue;
+
+      for (const chatId in watches) {
+        const keywords = watches[chatId][symbol];
+        if (!keywords) continue;
+
+        const matchedKeywords = findMatchingKeywords(article.title, keywords);
+        if (matchedKeywords.length === 0) continue;
+
+        const { delivery } = await notifier.notify(bot, chatId, {
+          text: generateNewsMessage(symbol, article, matchedKeywords),
+          summary: `📰 **${symbol}** ${escapeMarkdown(article.title.trim())} (${escapeMarkdown(matchedKeywords.join(', '))})`
+        });
+        delivery.then(({ status }) => {
+          console.log(`📤 News alert ${status}: ${symbol} "${article.title}" for chat ${chatId}`);
+        }).catch(error => {
+          console.error(`Error logging news alert for ${symbol} in chat ${chatId}:`, error.message);
+        });
+      }
+    }
+
+    if (firstPoll) {
+      console.log(`📰 Seeded ${articles.size} existing ${symbol} headline(s) for news watch`);
+    }
+    pruneSeen(symbol, now);
+  }
+
+  saveNewsWatch();
+}
+
+// Drop every rule for a chat that blocked the bot
+function disableChat(chatId) {
+  if (!watches[chatId]) return;
+
+  delete watches[chatId];
+  saveNewsWatch();
+}
+
+function startNewsWatch(bot) {
+  setInterval(() => {
+    checkNewsWatches(bot).catch(error => {
+      console.error('Error in news watch system:', error.message);
+    });
+  }, config.NEWS_WATCH_INTERVAL);
+
+  console.log('📰 Breaking news watch started...');
+}
+
+module.exports = {
+  loadNewsWatch,
+  saveNewsWatch,
+  getNewsWatches,
+  setNewsWatch,
+  removeNewsWatch,
+  checkNewsWatches,
+  disableChat,
+  startNewsWatch
+};
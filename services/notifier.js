@@ -0,0 +1,217 @@
+// Notifier Service - Quiet hours and digest batching for alert delivery
+const config = require('../config/config');
+const storage = require('./storage');
+const delivery = require('./delivery');
+const { getTimeAgo } = require('../utils/helpers');
+
+const STORAGE_KEY = 'notifications';
+const MAX_MESSAGE_LENGTH = 4000; // Telegram caps messages at 4096 characters
+
+// Storage
+const preferences = {}; // per-chat { quietHours: { start, end, timeZone }, digestWindow }
+const queues = {}; // per-chat [{ text, summary, queuedAt }] waiting for the next digest
+const flushing = new Set(); // chats whose digest is still being delivered
+
+// Restore preferences and undelivered digests from storage
+function loadNotifications() {
+  const saved = storage.load(STORAGE_KEY, { preferences: {}, queues: {} });
+  Object.assign(preferences, saved.preferences);
+  Object.assign(queues, saved.queues);
+
+  console.log(`💾 Loaded notification preferences for ${Object.keys(preferences).length} chat(s) from storage`);
+}
+
+function saveNotifications() {
+  return storage.save(STORAGE_KEY, { preferences, queues });
+}
+
+// True if the string is an IANA time zone the runtime understands
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse "HH:MM" into minutes after midnight
+function parseClockTime(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// Minutes after midnight for a moment in the given time zone
+function getLocalMinutes(time, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(time);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+  return hour * 60 + minute;
+}
+
+// Whether a chat is inside its quiet hours; ranges may wrap past midnight (23:00-07:00)
+function isQuietTime(chatId, time = new Date()) {
+  const quietHours = preferences[chatId]?.quietHours;
+  if (!quietHours) return false;
+
+  const now = getLocalMinutes(time, quietHours.timeZone);
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+function getPreferences(chatId) {
+  return {
+    quietHours: preferences[chatId]?.quietHours || null,
+    digestWindow: preferences[chatId]?.digestWindow || null,
+    queued: (queues[chatId] || []).length
+  };
+}
+
+// Set quiet hours ("23:00", "07:00", "Europe/Berlin"), or clear them with null
+function setQuietHours(chatId, quietHours) {
+  if (quietHours) {
+    if (parseClockTime(quietHours.start) === null || parseClockTime(quietHours.end) === null) {
+      return { error: 'Invalid time. Use 24-hour HH:MM, e.g. /quiet 23:00-07:00 Europe/Berlin' };
+    }
+    if (quietHours.start === quietHours.end) {
+      return { error: 'Quiet hours must start and end at different times.' };
+    }
+    if (!isValidTimeZone(quietHours.timeZone)) {
+      return { error: `Unknown time zone "${quietHours.timeZone}". Use an IANA name such as Europe/Berlin or America/New_York.` };
+    }
+  }
+
+  preferences[chatId] = { ...preferences[chatId], quietHours };
+  saveNotifications();
+  return getPreferences(chatId);
+}
+
+// Set the digest window in ms, or null to deliver alerts as they happen
+function setDigestWindow(chatId, digestWindow) {
+  preferences[chatId] = { ...preferences[chatId], digestWindow };
+  saveNotifications();
+  return getPreferences(chatId);
+}
+
+// Deliver an alert now, or queue it for a digest when the chat is in quiet hours or digest mode.
+// Urgent alerts always go out immediately. Returns { queued, delivery }, where delivery resolves
+// with the final { status }: 'deferred' for digests, otherwise the delivery queue's outcome.
+async function notify(bot, chatId, { text, summary, urgent = false }) {
+  const prefs = preferences[chatId] || {};
+
+  if (!urgent && (prefs.digestWindow || isQuietTime(chatId))) {
+    if (!queues[chatId]) {
+      queues[chatId] = [];
+    }
+    queues[chatId].push({ text, summary: summary || text, queuedAt: Date.now() });
+    saveNotifications();
+    console.log(`📥 Queued alert for chat ${chatId} (${queues[chatId].length} pending)`);
+    return { queued: true, delivery: Promise.resolve({ status: 'deferred' }) };
+  }
+
+  return { queued: false, delivery: delivery.deliver(bot, chatId, text) };
+}
+
+// Build one consolidated message from queued alerts, trimming to fit a single Telegram message
+function buildDigestMessage(items) {
+  const header = `📬 **Alert Digest** - ${items.length} alert${items.length === 1 ? '' : 's'} ` +
+    `(first ${getTimeAgo(new Date(items[0].queuedAt))})\n\n`;
+  const footer = `\n\n💡 /quiet and /digest to change delivery`;
+
+  let body = '';
+  let included = 0;
+  for (const item of items) {
+    const line = `• ${item.summary}\n`;
+    if (header.length + body.length + line.length + footer.length > MAX_MESSAGE_LENGTH - 40) break;
+    body += line;
+    included++;
+  }
+
+  if (included < items.length) {
+    body += `…and ${items.length - included} more\n`;
+  }
+
+  return header + body.trimEnd() + footer;
+}
+
+// Send queued alerts once quiet hours are over and the digest window has elapsed
+async function flushDigests(bot) {
+  const now = Date.now();
+
+  for (const chatId in queues) {
+    const items = queues[chatId];
+    if (!items || items.length === 0) continue;
+    if (flushing.has(chatId) || isQuietTime(chatId)) continue;
+
+    const digestWindow = preferences[chatId]?.digestWindow;
+    if (digestWindow && now - items[0].queuedAt < digestWindow) continue;
+
+    // A single held-back alert reads better in its original form
+    const message = items.length === 1 ? items[0].text : buildDigestMessage(items);
+
+    const count = items.length;
+    flushing.add(chatId);
+
+    delivery.deliver(bot, chatId, message).then(({ status }) => {
+      flushing.delete(chatId);
+      if (status === 'rejected') {
+        // Sending the same digest again would be refused again, so its alerts are dropped
+        console.error(`Digest for chat ${chatId} rejected by Telegram, dropping ${count} alert(s)`);
+      } else if (status !== 'delivered') {
+        console.error(`Digest for chat ${chatId} not delivered (${status})`);
+        return;
+      } else {
+        console.log(`📬 Digest with ${count} alert(s) sent to chat ${chatId}`);
+      }
+
+      // Keep anything queued while the message was in flight for the next digest
+      queues[chatId] = (queues[chatId] || []).slice(count);
+      if (queues[chatId].length === 0) {
+        delete queues[chatId];
+      }
+      saveNotifications();
+    }).catch(error => {
+      flushing.delete(chatId);
+      console.error(`Error settling digest for chat ${chatId}:`, error.message);
+    });
+  }
+}
+
+// Drop held-back alerts for a chat that blocked the bot; its preferences are kept
+function disableChat(chatId) {
+  if (!queues[chatId]) return;
+
+  delete queues[chatId];
+  saveNotifications();
+}
+
+function startDigestDelivery(bot) {
+  setInterval(() => {
+    flushDigests(bot);
+  }, config.DIGEST_FLUSH_INTERVAL);
+
+  console.log('📬 Digest delivery started...');
+}
+
+module.exports = {
+  loadNotifications,
+  saveNotifications,
+  isQuietTime,
+  getPreferences,
+  setQuietHours,
+  setDigestWindow,
+  notify,
+  flushDigests,
+  disableChat,
+  startDigestDelivery
+};
@@ -0,0 +1,199 @@
+// Order Book Alerts Service - Periodic order book sampling for imbalance, sentiment and liquidity alerts
+const config = require('../config/config');
+const storage = require('./storage');
+const orderBookSentiment = require('./orderBookSentiment');
+const notifier = require('./notifier');
+const { escapeMarkdown } = require('../utils/helpers');
+
+const STORAGE_KEY = 'orderBookAlerts';
+
+// Storage
+const watches = {}; // per-chat, per-symbol { imbalance, spread, flip, state }
+
+// Restore order book watches (and their last sampled state) from storage
+function loadOrderBookAlerts() {
+  Object.assign(watches, storage.load(STORAGE_KEY, {}));
+
+  const watchCount = Object.values(watches).reduce((sum, chatWatches) => sum + Object.keys(chatWatches).length, 0);
+  console.log(`💾 Loaded ${watchCount} order book watch(es) from storage`);
+}
+
+function saveOrderBookAlerts() {
+  return storage.save(STORAGE_KEY, watches);
+}
+
+function getOrderBookWatches(chatId) {
+  return Object.entries(watches[chatId] || {}).map(([symbol, watch]) => ({ symbol, ...watch }));
+}
+
+// Add or replace a chat's watch for a symbol; state starts fresh so the first sample only sets a baseline
+function setOrderBookWatch(chatId, { symbol, imbalance, spread, flip }) {
+  if (!watches[chatId]) {
+    watches[chatId] = {};
+  }
+  watches[chatId][symbol] = { imbalance, spread, flip: flip === true, state: null };
+  saveOrderBookAlerts();
+  return { symbol, ...watches[chatId][symbol] };
+}
+
+function removeOrderBookWatch(chatId, symbol) {
+  if (!watches[chatId]?.[symbol]) return false;
+
+  delete watches[chatId][symbol];
+  if (Object.keys(watches[chatId]).length === 0) {
+    delete watches[chatId];
+  }
+  saveOrderBookAlerts();
+  return true;
+}
+
+// Describe a watch's triggers for replies
+function describeOrderBookWatch(watch) {
+  const triggers = [];
+  if (watch.imbalance !== undefined) triggers.push(`imbalance ≥ ±${watch.imbalance}%`);
+  if (watch.spread !== undefined) triggers.push(`spread > ${watch.spread}%`);
+  if (watch.flip) triggers.push('sentiment flips');
+  return triggers.join(' · ');
+}
+
+// Which side (if any) the book leans past the threshold
+function getImbalanceSide(orderBook, threshold) {
+  const imbalancePercent = orderBook.imbalance * 100;
+  if (imbalancePercent >= threshold) return 'bid';
+  if (imbalancePercent <= -threshold) return 'ask';
+  return null;
+}
+
+// Compare a fresh sample with the watch's previous state. Alerts are edge-triggered: each
+// condition fires when it starts, and must clear before it can fire again.
+function evaluateWatch(watch, orderBook) {
+  const previous = watch.state;
+  const spreadPercent = orderBook.spreadPercent !== null ? orderBook.spreadPercent * 100 : null;
+  const state = {
+    sentiment: previous?.sentiment || orderBook.sentiment,
+    pendingSentiment: null,
+    pendingCount: 0,
+    imbalanceSide: watch.imbalance !== undefined ? getImbalanceSide(orderBook, watch.imbalance) : null,
+    spreadWide: watch.spread !== undefined && spreadPercent !== null && spreadPercent > watch.spread,
+    sampledAt: Date.now()
+  };
+  const events = [];
+
+  // First sample only establishes the baseline
+  if (!previous) {
+    return { state, events };
+  }
+
+  if (state.imbalanceSide && state.imbalanceSide !== previous.imbalanceSide) {
+    events.push(state.imbalanceSide === 'bid'
+      ? `🟢 Bid-heavy: imbalance +${(orderBook.imbalance * 100).toFixed(1)}% (threshold ±${watch.imbalance}%)`
+      : `🔴 Ask-heavy: imbalance ${(orderBook.imbalance * 100).toFixed(1)}% (threshold ±${watch.imbalance}%)`);
+  }
+
+  if (state.spreadWide && !previous.spreadWide) {
+    events.push(`💧 Thin liquidity: spread widened to ${spreadPercent.toFixed(3)}% (limit ${watch.spread}%)`);
+  }
+
+  // A new sentiment label has to hold for a few samples so a book hovering at a boundary doesn't flap
+  if (orderBook.sentiment !== previous.sentiment) {
+    const pendingCount = previous.pendingSentiment === orderBook.sentiment ? previous.pendingCount + 1 : 1;
+
+    if (pendingCount >= config.ORDERBOOK_FLIP_CONFIRMATIONS) {
+      if (watch.flip) {
+        events.push(`🔄 Sentiment flipped: ${previous.sentiment} → ${orderBook.sentiment}`);
+      }
+      state.sentiment = orderBook.sentiment;
+    } else {
+      state.pendingSentiment = orderBook.sentiment;
+      state.pendingCount = pendingCount;
+    }
+  }
+
+  return { state, events };
+}
+
+// Build the alert message for one symbol's events
+function generateOrderBookMessage(symbol, orderBook, events) {
+  const spreadText = orderBook.spreadPercent !== null ? `${(orderBook.spreadPercent * 100).toFixed(3)}%` : 'n/a';
+
+  return `📚 **ORDER BOOK ALERT: ${symbol}**\n\n` +
+    `${events.join('\n')}\n\n` +
+    `**Sentiment:** ${orderBook.sentiment}\n` +
+    `**Bids:** ${orderBook.bidSharePercent.toFixed(1)}% · **Asks:** ${orderBook.askSharePercent.toFixed(1)}%\n` +
+    `**Spread:** ${spreadText}\n` +
+    `**Source:** ${escapeMarkdown(`${orderBook.exchange} ${orderBook.pair}`)}\n\n` +
+    `💡 /obalerts to manage order book alerts`;
+}
+
+// Sample each watched symbol once and evaluate every chat's watch against it
+async function checkOrderBookAlerts(bot) {
+  const symbols = new Set();
+  Object.values(watches).forEach(chatWatches => Object.keys(chatWatches).forEach(symbol => symbols.add(symbol)));
+
+  if (symbols.size === 0) return;
+
+  let changed = false;
+
+  for (const symbol of symbols) {
+    const orderBook = await orderBookSentiment.analyzeOrderBook(symbol);
+    if (!orderBook) {
+      console.log(`❌ No order book data for ${symbol}`);
+      continue;
+    }
+
+    for (const chatId in watches) {
+      const watch = watches[chatId][symbol];
+      if (!watch) continue;
+
+      const { state, events } = evaluateWatch(watch, orderBook);
+      watch.state = state;
+      changed = true;
+
+      if (events.length === 0) continue;
+
+      const { delivery } = await notifier.notify(bot, chatId, {
+        text: generateOrderBookMessage(symbol, orderBook, events),
+        summary: `📚 **${symbol}** ${events.join('; ')}`
+      });
+      delivery.then(({ status }) => {
+        console.log(`📤 Order book alert ${status} for ${symbol} to chat ${chatId}: ${events.length} event(s)`);
+      }).catch(error => {
+        console.error(`Error logging order book alert for ${symbol} in chat ${chatId}:`, error.message);
+      });
+    }
+  }
+
+  if (changed) {
+    saveOrderBookAlerts();
+  }
+}
+
+// Drop every watch for a chat that blocked the bot
+function disableChat(chatId) {
+  if (!watches[chatId]) return;
+
+  delete watches[chatId];
+  saveOrderBookAlerts();
+}
+
+function startOrderBookMonitoring(bot) {
+  setInterval(() => {
+    checkOrderBookAlerts(bot).catch(error => {
+      console.error('Error in order book alert system:', error.message);
+    });
+  }, config.ORDERBOOK_ALERT_INTERVAL);
+
+  console.log('📚 Order book alert monitoring started...');
+}
+
+module.exports = {
+  loadOrderBookAlerts,
+  saveOrderBookAlerts,
+  getOrderBookWatches,
+  setOrderBookWatch,
+  removeOrderBookWatch,
+  describeOrderBookWatch,
+  checkOrderBookAlerts,
+  disableChat,
+  startOrderBookMonitoring
+};
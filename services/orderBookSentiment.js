@@ -1,4 +1,4 @@
-const axios = require('axios');
+const httpScheduler = require('./httpScheduler');
 
 const MAX_LEVELS = 50;
 
@@ -90,7 +90,7 @@ async function fetchFromBinance(symbol) {
 
   for (const pair of candidatePairs) {
     try {
-      const response = await axios.get('https://api.binance.com/api/v3/depth', {
+      const response = await httpScheduler.get('https://api.binance.com/api/v3/depth', {
         params: { symbol: pair, limit: MAX_LEVELS },
         timeout: 4000
       });
@@ -119,7 +119,7 @@ async function fetchFromKuCoin(symbol) {
 
   for (const pair of candidatePairs) {
     try {
-      const response = await axios.get('https://api.kucoin.com/api/v1/market/orderbook/level2_20', {
+      const response = await httpScheduler.get('https://api.kucoin.com/api/v1/market/orderbook/level2_20', {
         params: { symbol: pair },
         timeout: 4000
       });
@@ -148,7 +148,7 @@ async function fetchFromGateIo(symbol) {
 
   for (const pair of candidatePairs) {
     try {
-      const response = await axios.get('https://api.gateio.ws/api/v4/spot/order_book', {
+      const response = await httpScheduler.get('https://api.gateio.ws/api/v4/spot/order_book', {
         params: { currency_pair: pair, limit: MAX_LEVELS },
         headers: { 'Accept': 'application/json' },
         timeout: 4000
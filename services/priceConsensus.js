@@ -0,0 +1,60 @@
+// Price Consensus Service - Combine quotes from several sources and reject bad prints
+const config = require('../config/config');
+
+function getMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Volume-weighted average of the accepted quotes, or null when no quote reports volume
+function getVolumeWeightedPrice(quotes) {
+  const weighted = quotes.filter(quote => Number.isFinite(quote.volume24h) && quote.volume24h > 0);
+  if (weighted.length === 0) return null;
+
+  const totalVolume = weighted.reduce((sum, quote) => sum + quote.volume24h, 0);
+  return weighted.reduce((sum, quote) => sum + quote.price * quote.volume24h, 0) / totalVolume;
+}
+
+// Combine one symbol's quotes (ordered healthiest source first) into a single price.
+// With three or more sources, quotes further than PRICE_OUTLIER_TOLERANCE from the median are
+// discarded; with fewer there is no majority to judge by, so all are kept and the spread shows it.
+function buildConsensus(quotes) {
+  if (quotes.length === 0) return null;
+
+  const median = getMedian(quotes.map(quote => quote.price));
+  const sources = quotes.map(quote => {
+    const deviation = ((quote.price - median) / median) * 100;
+    return {
+      source: quote.source,
+      price: quote.price,
+      deviation,
+      outlier: quotes.length >= 3 && Math.abs(deviation) > config.PRICE_OUTLIER_TOLERANCE
+    };
+  });
+
+  const accepted = quotes.filter((quote, index) => !sources[index].outlier);
+  const acceptedPrices = accepted.map(quote => quote.price);
+  const consensusPrice = config.PRICE_CONSENSUS_METHOD === 'volume-weighted'
+    ? getVolumeWeightedPrice(accepted) ?? getMedian(acceptedPrices)
+    : getMedian(acceptedPrices);
+
+  // Change, volume and market cap come from the healthiest accepted source
+  const primary = accepted[0];
+
+  return {
+    ...primary,
+    price: consensusPrice,
+    marketCap: primary.marketCap ?? accepted.find(quote => quote.marketCap !== undefined)?.marketCap,
+    source: accepted.length > 1 ? 'consensus' : primary.source,
+    sources,
+    sourceSpread: accepted.length > 1
+      ? ((Math.max(...acceptedPrices) - Math.min(...acceptedPrices)) / Math.min(...acceptedPrices)) * 100
+      : null,
+    outliers: sources.filter(source => source.outlier).map(source => source.source)
+  };
+}
+
+module.exports = {
+  buildConsensus
+};
@@ -1,19 +1,87 @@
 // Price Feeds Service - Multi-source cryptocurrency price fetching
-const axios = require('axios');
+const httpScheduler = require('./httpScheduler');
 const config = require('../config/config');
-const { getCoinGeckoId } = require('../utils/helpers');
+const priceHistory = require('./priceHistory');
+const candles = require('./candles');
+const priceStream = require('./priceStream');
+const priceProviders = require('./priceProviders');
+const priceConsensus = require('./priceConsensus');
+const symbolUniverse = require('./symbolUniverse');
+const symbolResolver = require('./symbolResolver');
 
 // Storage
 const realtimePrices = new Map();
 const priceCache = new Map();
-let lastRateLimitTime = 0;
+let lastRestPollTime = 0;
+const lastStreamHistoryTime = new Map(); // symbol -> time a stream tick last went into price history
+const lastConsensus = new Map(); // symbol -> { price, timestamp } of the last multi-source consensus
+
+// Store a live quote and feed it into the rolling tick history and candles
+function setRealtimePrice(symbol, data) {
+  const existing = realtimePrices.get(symbol);
+  candles.recordTick(symbol, data.price, data.timestamp, data.volume24h);
+
+  // A fresh stream tick beats a REST snapshot's price; the snapshot still supplies what the stream
+  // lacks or only knows for one pair (aggregate 24h change and volume, market cap, per-source breakdown)
+  if (existing?.source === 'binance-stream' && data.source !== 'binance-stream' &&
+      data.timestamp - existing.timestamp < config.PRICE_FRESHNESS_WINDOW) {
+    realtimePrices.set(symbol, {
+      ...existing,
+      change24h: data.change24h ?? existing.change24h,
+      volume24h: data.volume24h ?? existing.volume24h,
+      marketCap: data.marketCap,
+      sources: data.sources,
+      sourceSpread: data.sourceSpread,
+      outliers: data.outliers
+    });
+    return;
+  }
+
+  realtimePrices.set(symbol, { ...data, marketCap: data.marketCap ?? existing?.marketCap });
+  priceHistory.recordTick(symbol, data.price, data.timestamp);
+}
+
+// Stream ticks arrive every second; price history keeps one per PRICE_STREAM_HISTORY_RESOLUTION.
+// Ticks far from the last multi-source consensus are dropped as bad prints.
+function handleStreamTick(symbol, data) {
+  const existing = realtimePrices.get(symbol);
+  const consensus = lastConsensus.get(symbol);
+  if (consensus && data.timestamp - consensus.timestamp < config.PRICE_STREAM_REST_INTERVAL * 2) {
+    const deviation = (Math.abs(data.price - consensus.price) / consensus.price) * 100;
+    if (deviation > config.PRICE_STREAM_MAX_DEVIATION) {
+      console.log(`⚠️ Ignoring ${symbol} stream tick $${data.price} (${deviation.toFixed(1)}% off consensus)`);
+      return;
+    }
+  }
+
+  // Binance reports 24h change and volume for its USDT pair only; aggregate REST figures are kept
+  // when there are any, so volume rules and /price don't compare one pair against market-wide baselines
+  realtimePrices.set(symbol, {
+    ...existing,
+    ...data,
+    change24h: existing?.change24h ?? data.change24h,
+    volume24h: existing?.volume24h ?? data.volume24h
+  });
+  candles.recordTick(symbol, data.price, data.timestamp);
+
+  if (data.timestamp - (lastStreamHistoryTime.get(symbol) || 0) >= config.PRICE_STREAM_HISTORY_RESOLUTION) {
+    lastStreamHistoryTime.set(symbol, data.timestamp);
+    priceHistory.recordTick(symbol, data.price, data.timestamp);
+  }
+}
+
+// Get cryptocurrency data from CoinGecko, for a specific coin when the ticker is ambiguous
+async function getCryptoData(symbol, coinId = null) {
+  coinId = coinId || symbolResolver.getCoinId(symbol);
+  if (!coinId) {
+    console.log(`❓ No CoinGecko coin known for ${symbol}`);
+    return null;
+  }
 
-// Get cryptocurrency data from CoinGecko
-async function getCryptoData(symbol) {
   try {
-    const response = await axios.get(`${config.COINGECKO_API}/simple/price`, {
+    const response = await httpScheduler.get(`${config.COINGECKO_API}/simple/price`, {
       params: {
-        ids: getCoinGeckoId(symbol, config.SYMBOL_MAP),
+        ids: coinId,
         vs_currencies: 'usd',
         include_24hr_change: true,
         include_market_cap: true,
@@ -21,7 +89,6 @@ async function getCryptoData(symbol) {
       }
     });
     
-    const coinId = getCoinGeckoId(symbol, config.SYMBOL_MAP);
     const data = response.data[coinId];
     
     if (!data) return null;
@@ -38,145 +105,60 @@ async function getCryptoData(symbol) {
   }
 }
 
-// Fetch from CryptoCompare
-async function fetchCryptoComparePrices() {
-  try {
-    const symbols = ['BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOT', 'UNI', 'LINK', 'AAVE', 'MATIC', 'AVAX', 'SUI', 'ATOM', 'ARB'];
-    const symbolsStr = symbols.join(',');
+// Query every available provider per symbol and keep the consensus price, discarding outliers
+async function fetchConsensusPrices(symbols) {
+  const quotes = await priceProviders.fetchAllQuotes(symbols);
+  const prices = {};
 
-    const response = await axios.get('https://min-api.cryptocompare.com/data/pricemultifull', {
-      params: {
-        fsyms: symbolsStr,
-        tsyms: 'USD'
-      },
-      timeout: 8000
-    });
-
-    if (response.data && response.data.RAW) {
-      const data = response.data.RAW;
-      
-      Object.keys(data).forEach(symbol => {
-        const coinData = data[symbol].USD;
-        realtimePrices.set(symbol, {
-          price: parseFloat(coinData.PRICE),
-          change24h: parseFloat(coinData.CHANGEPCT24HOUR).toFixed(2),
-          volume24h: parseFloat(coinData.TOTALVOLUME24HTO),
-          marketCap: parseFloat(coinData.MKTCAP),
-          timestamp: Date.now(),
-          source: 'cryptocompare'
-        });
-      });
-      
-      console.log(`✅ Updated ${realtimePrices.size} real-time prices from CryptoCompare`);
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error('❌ CryptoCompare error:', error.message);
-    return false;
-  }
-}
-
-// Fallback: Fetch from CoinCap
-async function fetchCoinCapPrices() {
-  try {
-    const symbols = ['bitcoin', 'ethereum', 'solana', 'ripple', 'hyperliquid', 'astar', 'world-liberty-financial'];
-    const symbolMap = {
-      'bitcoin': 'BTC',
-      'ethereum': 'ETH',
-      'solana': 'SOL',
-      'ripple': 'XRP',
-      'hyperliquid': 'HYPE',
-      'astar': 'ASTER',
-      'world-liberty-financial': 'WLFI'
-    };
+  Object.entries(quotes).forEach(([symbol, symbolQuotes]) => {
+    const consensus = priceConsensus.buildConsensus(symbolQuotes);
+    if (!consensus) return;
 
-    const response = await axios.get('https://api.coincap.io/v2/assets', {
-      params: { limit: 100 },
-      timeout: 8000
+    consensus.outliers.forEach(source => {
+      const quote = consensus.sources.find(entry => entry.source === source);
+      console.log(`⚠️ Discarded ${symbol} outlier from ${source}: $${quote.price} (${quote.deviation.toFixed(2)}% off median)`);
+      priceProviders.recordOutlier(source);
     });
 
-    if (response.data && response.data.data) {
-      const assets = response.data.data;
-      
-      assets.forEach(asset => {
-        const assetId = asset.id;
-        const symbol = symbolMap[assetId] || asset.symbol?.toUpperCase();
-        
-        if (symbol && symbols.includes(assetId)) {
-          realtimePrices.set(symbol, {
-            price: parseFloat(asset.priceUsd),
-            change24h: parseFloat(asset.changePercent24Hr).toFixed(2),
-            volume24h: parseFloat(asset.volumeUsd24Hr),
-            marketCap: parseFloat(asset.marketCapUsd),
-            timestamp: Date.now(),
-            source: 'coincap'
-          });
-        }
-      });
-      
-      console.log(`✅ Updated ${realtimePrices.size} real-time prices from CoinCap`);
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error('❌ CoinCap error:', error.message);
-    return false;
-  }
-}
-
-// Emergency fallback: CoinGecko batch
-async function fetchFromCoinGeckoFallback() {
-  try {
-    const symbols = ['BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOT', 'UNI', 'LINK', 'AAVE'];
-    let updated = 0;
-
-    for (const symbol of symbols) {
-      try {
-        const data = await getCryptoData(symbol);
-        if (data) {
-          realtimePrices.set(symbol, {
-            ...data,
-            timestamp: Date.now(),
-            source: 'coingecko-fallback'
-          });
-          updated++;
-        }
-        await new Promise(resolve => setTimeout(resolve, 500));
-      } catch (err) {
-        // Skip
-      }
-    }
+    prices[symbol] = consensus;
+    lastConsensus.set(symbol, { price: consensus.price, timestamp: consensus.timestamp });
+  });
 
-    if (updated > 0) {
-      console.log(`✅ Updated ${updated} prices from CoinGecko fallback`);
-    }
-  } catch (error) {
-    console.error('❌ All price sources failed:', error.message);
+  // Symbols no provider answered for still get the single-source cascade
+  const missing = symbols.filter(symbol => !prices[symbol]);
+  if (missing.length > 0) {
+    Object.assign(prices, await priceProviders.fetchPrices(missing));
   }
+  return prices;
 }
 
-// Multi-source price fetcher
+// Poll every tracked symbol: consensus across providers, or the healthiest single provider per symbol
 async function fetchRealtimePrices() {
-  const success1 = await fetchCryptoComparePrices();
-  if (success1) return;
+  const symbols = symbolUniverse.getTrackedSymbols();
+  const prices = config.PRICE_CONSENSUS_ENABLED
+    ? await fetchConsensusPrices(symbols)
+    : await priceProviders.fetchPrices(symbols);
 
-  console.log('⚠️ Trying CoinCap as fallback...');
-  const success2 = await fetchCoinCapPrices();
-  if (success2) return;
+  Object.entries(prices).forEach(([symbol, data]) => setRealtimePrice(symbol, data));
 
-  console.log('⚠️ Using CoinGecko fallback (may be slower)...');
-  await fetchFromCoinGeckoFallback();
+  const sources = Array.from(new Set(Object.values(prices).map(data => data.source)));
+  if (sources.length > 0) {
+    console.log(`✅ Updated ${Object.keys(prices).length}/${symbols.length} real-time prices from ${sources.join(', ')}`);
+  } else {
+    console.error('❌ All price sources failed');
+  }
 }
 
-// Main function to get cached crypto data
-async function getCachedCryptoData(symbol, forceRefresh = false) {
-  const cacheKey = symbol.toLowerCase();
+// Main function to get cached crypto data. Pass coinId for a chat that picked a different coin than
+// the one the shared feeds quote under this ticker; those lookups bypass the realtime prices.
+async function getCachedCryptoData(symbol, forceRefresh = false, coinId = null) {
+  const sharedFeed = symbolResolver.isSharedCoin(symbol, coinId);
+  const cacheKey = sharedFeed ? symbol.toLowerCase() : coinId;
   const now = Date.now();
   const symbolUpper = symbol.toUpperCase();
 
   // Priority 1: Check real-time prices
-  if (realtimePrices.has(symbolUpper)) {
+  if (sharedFeed && realtimePrices.has(symbolUpper)) {
     const realtimeData = realtimePrices.get(symbolUpper);
     if (now - realtimeData.timestamp < config.PRICE_FRESHNESS_WINDOW) {
       console.log(`⚡ Using real-time price for ${symbol}: $${realtimeData.price.toFixed(2)} (${realtimeData.source})`);
@@ -184,17 +166,20 @@ async function getCachedCryptoData(symbol, forceRefresh = false) {
     }
   }
 
-  // Check rate limit backoff
-  if (now - lastRateLimitTime < config.RATE_LIMIT_BACKOFF) {
-    console.log(`⏳ Rate limit backoff active for ${symbol}, using cache...`);
+  // Serve stale data while the scheduler has CoinGecko paused after a 429
+  const getStaleData = () => {
     if (priceCache.has(cacheKey)) {
       return priceCache.get(cacheKey);
-    } else if (realtimePrices.has(symbolUpper)) {
+    } else if (sharedFeed && realtimePrices.has(symbolUpper)) {
       return realtimePrices.get(symbolUpper);
-    } else {
-      console.log(`❌ No cached data available for ${symbol} during backoff`);
-      return null;
     }
+    console.log(`❌ No cached data available for ${symbol} during backoff`);
+    return null;
+  };
+
+  if (httpScheduler.isRateLimited(config.COINGECKO_API)) {
+    console.log(`⏳ Rate limit backoff active for ${symbol}, using cache...`);
+    return getStaleData();
   }
 
   // Check valid cache
@@ -208,42 +193,70 @@ async function getCachedCryptoData(symbol, forceRefresh = false) {
 
   // Fetch fresh from CoinGecko
   console.log(`🌐 Fetching price for ${symbol} from CoinGecko...`);
-  try {
-    const freshData = await getCryptoData(symbol);
-
-    if (freshData) {
-      priceCache.set(cacheKey, {
-        ...freshData,
-        timestamp: now,
-        source: 'coingecko'
-      });
-      console.log(`✅ Fresh price cached for ${symbol}: $${freshData.price.toFixed(2)}`);
-      return freshData;
-    }
-  } catch (error) {
-    if (error.response && error.response.status === 429) {
-      console.log(`🚫 Rate limit hit for ${symbol}, activating backoff...`);
-      lastRateLimitTime = now;
-
-      if (priceCache.has(cacheKey)) {
-        console.log(`💾 Using stale cache for ${symbol} due to rate limit`);
-        return priceCache.get(cacheKey);
-      } else if (realtimePrices.has(symbolUpper)) {
-        return realtimePrices.get(symbolUpper);
-      }
-    }
-    throw error;
+  const freshData = await getCryptoData(symbol, coinId);
+
+  if (freshData) {
+    priceCache.set(cacheKey, {
+      ...freshData,
+      timestamp: now,
+      source: 'coingecko'
+    });
+    console.log(`✅ Fresh price cached for ${symbol}: $${freshData.price.toFixed(2)}`);
+    return freshData;
+  }
+
+  // This lookup may be the one that hit the rate limit
+  if (httpScheduler.isRateLimited(config.COINGECKO_API)) {
+    console.log(`💾 Using stale cache for ${symbol} due to rate limit`);
+    return getStaleData();
   }
 
   return null;
 }
 
+// Pick up symbols users added or dropped since the last pass: resubscribe the stream to the
+// difference and forget live prices nothing reads any more
+function refreshTrackedSymbols() {
+  const { symbols, removed } = symbolUniverse.refreshUniverse();
+
+  removed.forEach(symbol => {
+    realtimePrices.delete(symbol);
+    lastStreamHistoryTime.delete(symbol);
+    lastConsensus.delete(symbol);
+  });
+
+  if (config.PRICE_STREAM_ENABLED) {
+    priceStream.setStreamSymbols(symbols);
+  }
+}
+
+// One polling pass. While the stream is healthy REST only runs every PRICE_STREAM_REST_INTERVAL
+// to refresh market caps and cover coins Binance doesn't list; when it's down we poll every interval.
+async function pollRealtimePrices() {
+  refreshTrackedSymbols();
+
+  const now = Date.now();
+  if (priceStream.isStreamHealthy() && now - lastRestPollTime < config.PRICE_STREAM_REST_INTERVAL) {
+    return;
+  }
+
+  lastRestPollTime = now;
+  await fetchRealtimePrices();
+}
+
 // Start real-time polling
 function startRealTimePricePolling() {
-  console.log('⚡ Starting real-time price polling (multi-source: CryptoCompare → CoinCap → CoinGecko)...');
-  
+  console.log('⚡ Starting real-time price polling (health-ranked providers)...');
+
+  priceProviders.loadProviders();
+  symbolUniverse.refreshUniverse();
   fetchRealtimePrices();
-  setInterval(fetchRealtimePrices, config.PRICE_UPDATE_INTERVAL);
+  lastRestPollTime = Date.now();
+  setInterval(pollRealtimePrices, config.PRICE_UPDATE_INTERVAL);
+
+  if (config.PRICE_STREAM_ENABLED) {
+    priceStream.startPriceStream(symbolUniverse.getTrackedSymbols(), handleStreamTick);
+  }
   
   console.log('✅ Real-time price feeds active! (10 second updates with auto-fallback)');
 }
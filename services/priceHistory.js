@@ -0,0 +1,178 @@
+// Price History Service - Rolling tick buffer fed by the real-time price poller
+const config = require('../config/config');
+const storage = require('./storage');
+
+const STORAGE_KEY = 'priceHistory';
+const PERSIST_RESOLUTION = 60 * 1000; // keep one tick per minute on disk
+
+// Storage
+const ticks = new Map(); // symbol -> [{ price, timestamp }] in ascending time order
+
+// Record a price tick and drop ticks older than the retention window
+function recordTick(symbol, price, timestamp = Date.now()) {
+  if (!Number.isFinite(price)) return;
+
+  const key = symbol.toUpperCase();
+  if (!ticks.has(key)) {
+    ticks.set(key, []);
+  }
+
+  const buffer = ticks.get(key);
+  const lastTick = buffer[buffer.length - 1];
+  if (lastTick && timestamp < lastTick.timestamp) return;
+
+  buffer.push({ price, timestamp });
+
+  const cutoff = timestamp - config.PRICE_HISTORY_RETENTION;
+  let expired = 0;
+  while (expired < buffer.length && buffer[expired].timestamp < cutoff) {
+    expired++;
+  }
+  if (expired > 0) {
+    buffer.splice(0, expired);
+  }
+}
+
+// Index of the last tick at or before a timestamp (-1 when history starts later)
+function findTickIndex(buffer, timestamp) {
+  let low = 0;
+  let high = buffer.length - 1;
+  let result = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (buffer[mid].timestamp <= timestamp) {
+      result = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return result;
+}
+
+// Price at a point in time, or null if the buffer does not reach back that far
+function getPriceAt(symbol, timestamp) {
+  const buffer = ticks.get(symbol.toUpperCase());
+  if (!buffer || buffer.length === 0) return null;
+
+  const index = findTickIndex(buffer, timestamp);
+  return index === -1 ? null : buffer[index];
+}
+
+// Percent change over a rolling window ending at the latest tick
+function getWindowChange(symbol, windowMs) {
+  const buffer = ticks.get(symbol.toUpperCase());
+  if (!buffer || buffer.length < 2) return null;
+
+  const latest = buffer[buffer.length - 1];
+  const reference = getPriceAt(symbol, latest.timestamp - windowMs);
+
+  // Allow one missed poll of slack so a window that just barely starts before our first tick still counts
+  if (!reference || latest.timestamp - reference.timestamp > windowMs + config.PRICE_UPDATE_INTERVAL * 2) {
+    return null;
+  }
+
+  return {
+    percent: ((latest.price - reference.price) / reference.price) * 100,
+    fromPrice: reference.price,
+    toPrice: latest.price,
+    fromTime: reference.timestamp
+  };
+}
+
+// All ticks for a symbol since a timestamp
+function getTicks(symbol, since = 0) {
+  const buffer = ticks.get(symbol.toUpperCase()) || [];
+  return buffer.filter(tick => tick.timestamp >= since);
+}
+
+// Standard deviation of percent returns between fixed-interval samples over a lookback period
+function getRealizedVolatility(symbol, lookbackMs, intervalMs) {
+  const buffer = ticks.get(symbol.toUpperCase());
+  if (!buffer || buffer.length < 2) return null;
+
+  const latest = buffer[buffer.length - 1];
+  const returns = [];
+  let previous = null;
+
+  for (let time = latest.timestamp - lookbackMs; time <= latest.timestamp; time += intervalMs) {
+    const tick = getPriceAt(symbol, time);
+    if (!tick) continue;
+
+    if (previous && tick !== previous) {
+      returns.push(((tick.price - previous.price) / previous.price) * 100);
+    }
+    previous = tick;
+  }
+
+  if (returns.length < 2) return null;
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+
+  return {
+    stdev: Math.sqrt(variance),
+    samples: returns.length
+  };
+}
+
+// Restore persisted ticks (downsampled) so volatility statistics survive restarts
+function loadHistory() {
+  const saved = storage.load(STORAGE_KEY, {});
+  const cutoff = Date.now() - config.PRICE_HISTORY_RETENTION;
+
+  ticks.clear();
+  Object.entries(saved).forEach(([symbol, entries]) => {
+    const buffer = entries
+      .filter(([timestamp]) => timestamp >= cutoff)
+      .map(([timestamp, price]) => ({ price, timestamp }));
+    if (buffer.length > 0) {
+      ticks.set(symbol, buffer);
+    }
+  });
+
+  console.log(`💾 Loaded price history for ${ticks.size} symbol(s) from storage`);
+}
+
+// Persist ticks downsampled to one per minute as compact [timestamp, price] pairs
+function saveHistory() {
+  const snapshot = {};
+
+  ticks.forEach((buffer, symbol) => {
+    const entries = [];
+    let lastBucket = null;
+
+    buffer.forEach(tick => {
+      const bucket = Math.floor(tick.timestamp / PERSIST_RESOLUTION);
+      if (bucket === lastBucket) {
+        entries[entries.length - 1] = [tick.timestamp, tick.price];
+      } else {
+        entries.push([tick.timestamp, tick.price]);
+        lastBucket = bucket;
+      }
+    });
+
+    snapshot[symbol] = entries;
+  });
+
+  return storage.save(STORAGE_KEY, snapshot);
+}
+
+// Periodically write the tick history to storage
+function startHistoryPersistence() {
+  setInterval(saveHistory, config.PRICE_HISTORY_SAVE_INTERVAL);
+  console.log('💾 Price history persistence started...');
+}
+
+module.exports = {
+  recordTick,
+  getPriceAt,
+  getWindowChange,
+  getTicks,
+  getRealizedVolatility,
+  loadHistory,
+  saveHistory,
+  startHistoryPersistence
+};
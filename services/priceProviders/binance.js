@@ -0,0 +1,27 @@
+// Binance Price Provider - Spot USDT tickers as an exchange-side price source
+const httpScheduler = require('../httpScheduler');
+
+module.exports = {
+  name: 'binance',
+  // Binance rejects the whole batch if any pair is unknown, so only list coins with a USDT market
+  symbols: ['BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOT', 'UNI', 'LINK', 'AAVE', 'AVAX', 'SUI', 'ATOM', 'ARB', 'BNB', 'DOGE'],
+  rateLimit: { minInterval: 5000, backoff: 120000 },
+
+  async fetch(symbols) {
+    const response = await httpScheduler.get('https://api.binance.com/api/v3/ticker/24hr', {
+      params: { symbols: JSON.stringify(symbols.map(symbol => `${symbol}USDT`)) },
+      timeout: 8000
+    });
+
+    const prices = {};
+    (response.data || []).forEach(ticker => {
+      const symbol = ticker.symbol.replace(/USDT$/, '');
+      prices[symbol] = {
+        price: parseFloat(ticker.lastPrice),
+        change24h: parseFloat(ticker.priceChangePercent).toFixed(2),
+        volume24h: parseFloat(ticker.quoteVolume)
+      };
+    });
+    return prices;
+  }
+};
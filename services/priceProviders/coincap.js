@@ -0,0 +1,44 @@
+// CoinCap Price Provider - Batch quotes from the assets endpoint
+const httpScheduler = require('../httpScheduler');
+
+// CoinCap asset ids for the symbols we take from it
+const ASSET_IDS = {
+  'BTC': 'bitcoin',
+  'ETH': 'ethereum',
+  'SOL': 'solana',
+  'XRP': 'ripple',
+  'HYPE': 'hyperliquid',
+  'WLFI': 'world-liberty-financial'
+};
+
+module.exports = {
+  name: 'coincap',
+  symbols: Object.keys(ASSET_IDS),
+  rateLimit: { minInterval: 5000, backoff: 120000 },
+
+  async fetch(symbols) {
+    const response = await httpScheduler.get('https://api.coincap.io/v2/assets', {
+      params: { ids: symbols.map(symbol => ASSET_IDS[symbol]).join(',') },
+      timeout: 8000
+    });
+
+    const assets = response.data?.data;
+    if (!Array.isArray(assets)) {
+      throw new Error('No asset data in response');
+    }
+
+    const prices = {};
+    assets.forEach(asset => {
+      const symbol = symbols.find(candidate => ASSET_IDS[candidate] === asset.id);
+      if (!symbol) return;
+
+      prices[symbol] = {
+        price: parseFloat(asset.priceUsd),
+        change24h: parseFloat(asset.changePercent24Hr).toFixed(2),
+        volume24h: parseFloat(asset.volumeUsd24Hr),
+        marketCap: parseFloat(asset.marketCapUsd)
+      };
+    });
+    return prices;
+  }
+};
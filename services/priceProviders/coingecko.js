@@ -0,0 +1,39 @@
+// CoinGecko Price Provider - Batch quotes from simple/price for any coin the symbol resolver knows
+const httpScheduler = require('../httpScheduler');
+const config = require('../../config/config');
+const symbolResolver = require('../symbolResolver');
+
+module.exports = {
+  name: 'coingecko',
+  symbols: null,
+  // Free tier allows roughly 10-30 calls a minute
+  rateLimit: { minInterval: 10000, backoff: 120000 },
+
+  async fetch(symbols) {
+    const ids = symbols.map(symbol => symbolResolver.getCoinId(symbol));
+    const response = await httpScheduler.get(`${config.COINGECKO_API}/simple/price`, {
+      params: {
+        ids: ids.join(','),
+        vs_currencies: 'usd',
+        include_24hr_change: true,
+        include_market_cap: true,
+        include_24hr_vol: true
+      },
+      timeout: 8000
+    });
+
+    const prices = {};
+    symbols.forEach((symbol, index) => {
+      const data = response.data?.[ids[index]];
+      if (!data) return;
+
+      prices[symbol] = {
+        price: data.usd,
+        change24h: data.usd_24h_change?.toFixed(2) || 'N/A',
+        volume24h: data.usd_24h_vol || 'N/A',
+        marketCap: data.usd_market_cap || 'N/A'
+      };
+    });
+    return prices;
+  }
+};
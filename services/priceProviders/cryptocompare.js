@@ -0,0 +1,35 @@
+// CryptoCompare Price Provider - Batch quotes from pricemultifull
+const httpScheduler = require('../httpScheduler');
+
+module.exports = {
+  name: 'cryptocompare',
+  symbols: null,
+  rateLimit: { minInterval: 5000, backoff: 120000 },
+
+  async fetch(symbols) {
+    const response = await httpScheduler.get('https://min-api.cryptocompare.com/data/pricemultifull', {
+      params: {
+        fsyms: symbols.join(','),
+        tsyms: 'USD'
+      },
+      timeout: 8000
+    });
+
+    const raw = response.data?.RAW;
+    if (!raw) {
+      throw new Error(response.data?.Message || 'No RAW data in response');
+    }
+
+    const prices = {};
+    Object.keys(raw).forEach(symbol => {
+      const coinData = raw[symbol].USD;
+      prices[symbol] = {
+        price: parseFloat(coinData.PRICE),
+        change24h: parseFloat(coinData.CHANGEPCT24HOUR).toFixed(2),
+        volume24h: parseFloat(coinData.TOTALVOLUME24HTO),
+        marketCap: parseFloat(coinData.MKTCAP)
+      };
+    });
+    return prices;
+  }
+};
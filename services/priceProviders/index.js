@@ -0,0 +1,226 @@
+// Price Provider Registry - Pluggable quote sources with per-provider health scoring
+//
+// A provider is a module exporting:
+//   name       unique id, also its key in config.PRICE_PROVIDERS
+//   symbols    symbols it can quote, or null for "any coin the symbol resolver knows"
+//   rateLimit  { minInterval, backoff } ms between calls and pause after a 429
+//   fetch(symbols) -> { SYMBOL: { price, change24h, volume24h, marketCap } }
+const path = require('path');
+const config = require('../../config/config');
+const symbolResolver = require('../symbolResolver');
+
+const HEALTH_SMOOTHING = 0.2; // weight of the newest sample in the latency / error averages
+
+// Storage
+const providers = []; // registered providers in config order
+const health = {}; // per-provider { latency, errorRate, calls, failures, lastSuccessTime, lastErrorTime, lastError, lastCallTime, rateLimitedUntil, outliers }
+
+function registerProvider(provider, options = {}) {
+  if (!provider?.name || typeof provider.fetch !== 'function') {
+    throw new Error('Price providers need a name and a fetch(symbols) function');
+  }
+
+  const existing = providers.findIndex(registered => registered.name === provider.name);
+  if (existing !== -1) {
+    providers.splice(existing, 1);
+  }
+
+  providers.push({ ...provider, rateLimit: { minInterval: 0, backoff: 60000, ...provider.rateLimit }, ...options });
+  health[provider.name] = health[provider.name] || {
+    latency: null,
+    errorRate: 0,
+    calls: 0,
+    failures: 0,
+    lastSuccessTime: 0,
+    lastErrorTime: 0,
+    lastError: null,
+    lastCallTime: 0,
+    rateLimitedUntil: 0,
+    outliers: 0
+  };
+}
+
+// Register every enabled provider from config. Built-ins load by name; others from a module path
+// relative to the project root, e.g. { name: 'kraken', module: './providers/kraken', enabled: true }
+function loadProviders() {
+  config.PRICE_PROVIDERS.forEach(entry => {
+    if (entry.enabled === false) return;
+
+    try {
+      const provider = entry.module
+        ? require(path.resolve(__dirname, '..', '..', entry.module))
+        : require(`./${entry.name}`);
+      registerProvider({ ...provider, name: entry.name }, { symbols: entry.symbols || provider.symbols });
+    } catch (error) {
+      console.error(`❌ Failed to load price provider ${entry.name}:`, error.message);
+    }
+  });
+
+  console.log(`🔌 Price providers: ${providers.map(provider => provider.name).join(', ') || 'none'}`);
+}
+
+function supportsSymbol(provider, symbol) {
+  return provider.symbols ? provider.symbols.includes(symbol) : Boolean(symbolResolver.getCoinId(symbol));
+}
+
+// Whether a provider can be called right now (not backing off from a 429, not called too recently)
+function isAvailable(provider, now = Date.now()) {
+  const stats = health[provider.name];
+  return now >= stats.rateLimitedUntil && now - stats.lastCallTime >= provider.rateLimit.minInterval;
+}
+
+// 0-100: reliability first, then speed, then how recently it last answered. Config order breaks ties.
+function getHealthScore(provider, now = Date.now()) {
+  const stats = health[provider.name];
+  const reliability = (1 - stats.errorRate) * 70;
+  const speed = stats.latency === null ? 20 : Math.max(0, 20 - stats.latency / 250);
+  const freshness = stats.lastSuccessTime === 0
+    ? 5
+    : Math.max(0, 10 - (now - stats.lastSuccessTime) / config.PRICE_PROVIDER_STALE_AFTER * 10);
+
+  return reliability + speed + freshness - providers.indexOf(provider) * 0.01;
+}
+
+// Healthiest available provider for a symbol, skipping ones already tried this pass
+function pickProvider(symbol, excluded, now) {
+  return providers
+    .filter(provider => !excluded.has(provider.name) && supportsSymbol(provider, symbol) && isAvailable(provider, now))
+    .sort((a, b) => getHealthScore(b, now) - getHealthScore(a, now))[0] || null;
+}
+
+function updateAverage(previous, sample) {
+  return previous === null ? sample : previous + (sample - previous) * HEALTH_SMOOTHING;
+}
+
+// Call one provider, recording latency and success / failure; returns {} on failure
+async function fetchFromProvider(provider, symbols) {
+  const stats = health[provider.name];
+  const startTime = Date.now();
+  stats.lastCallTime = startTime;
+  stats.calls++;
+
+  try {
+    const prices = await provider.fetch(symbols);
+    const now = Date.now();
+    stats.latency = updateAverage(stats.latency, now - startTime);
+    stats.errorRate = updateAverage(stats.errorRate, 0);
+    stats.lastSuccessTime = now;
+
+    const results = {};
+    Object.entries(prices || {}).forEach(([symbol, data]) => {
+      if (Number.isFinite(data?.price) && data.price > 0) {
+        results[symbol] = { ...data, timestamp: now, source: provider.name };
+      }
+    });
+    return results;
+  } catch (error) {
+    stats.errorRate = updateAverage(stats.errorRate, 1);
+    stats.failures++;
+    stats.lastErrorTime = Date.now();
+    stats.lastError = error.message;
+
+    if (error.response?.status === 429) {
+      stats.rateLimitedUntil = Date.now() + provider.rateLimit.backoff;
+      console.log(`🚫 ${provider.name} rate limited, pausing for ${provider.rateLimit.backoff / 1000}s`);
+    } else {
+      console.error(`❌ ${provider.name} error:`, error.message);
+    }
+    return {};
+  }
+}
+
+// Quote each symbol from its healthiest provider. Symbols a provider fails to return move on to the
+// next-best provider that supports them, until every symbol is quoted or no provider is left.
+async function fetchPrices(symbols) {
+  const results = {};
+  const tried = new Map(symbols.map(symbol => [symbol, new Set()]));
+  let remaining = [...symbols];
+
+  while (remaining.length > 0) {
+    const now = Date.now();
+    const batches = new Map();
+
+    remaining.forEach(symbol => {
+      const provider = pickProvider(symbol, tried.get(symbol), now);
+      if (!provider) return;
+
+      tried.get(symbol).add(provider.name);
+      if (!batches.has(provider)) {
+        batches.set(provider, []);
+      }
+      batches.get(provider).push(symbol);
+    });
+
+    if (batches.size === 0) break;
+
+    const responses = await Promise.all(
+      Array.from(batches).map(([provider, batch]) => fetchFromProvider(provider, batch))
+    );
+    responses.forEach(prices => {
+      Object.entries(prices).forEach(([symbol, data]) => {
+        if (tried.has(symbol) && !results[symbol]) {
+          results[symbol] = data;
+        }
+      });
+    });
+
+    // A provider called this round can't be called again right away, so the retry goes elsewhere
+    remaining = remaining.filter(symbol => !results[symbol]);
+  }
+
+  return results;
+}
+
+// Quote each symbol from every available provider that supports it, for cross-checking.
+// Returns { SYMBOL: [quotes] } with each symbol's quotes ordered healthiest source first.
+async function fetchAllQuotes(symbols) {
+  const now = Date.now();
+  const ranked = providers
+    .filter(provider => isAvailable(provider, now))
+    .sort((a, b) => getHealthScore(b, now) - getHealthScore(a, now));
+
+  const batches = ranked
+    .map(provider => ({ provider, batch: symbols.filter(symbol => supportsSymbol(provider, symbol)) }))
+    .filter(({ batch }) => batch.length > 0);
+
+  const responses = await Promise.all(batches.map(({ provider, batch }) => fetchFromProvider(provider, batch)));
+
+  const quotes = {};
+  responses.forEach(prices => {
+    Object.entries(prices).forEach(([symbol, data]) => {
+      if (!symbols.includes(symbol)) return;
+      if (!quotes[symbol]) {
+        quotes[symbol] = [];
+      }
+      quotes[symbol].push(data);
+    });
+  });
+  return quotes;
+}
+
+// Count a quote the consensus threw out against its provider
+function recordOutlier(name) {
+  if (health[name]) {
+    health[name].outliers++;
+  }
+}
+
+// Health snapshot for logs and diagnostics
+function getProviderHealth() {
+  const now = Date.now();
+  return providers.map(provider => ({
+    name: provider.name,
+    score: getHealthScore(provider, now),
+    available: isAvailable(provider, now),
+    ...health[provider.name]
+  }));
+}
+
+module.exports = {
+  registerProvider,
+  loadProviders,
+  fetchPrices,
+  fetchAllQuotes,
+  recordOutlier,
+  getProviderHealth
+};
@@ -0,0 +1,186 @@
+// Price Stream Service - Binance ticker WebSocket feeding real-time prices tick by tick
+const WebSocket = require('ws');
+const config = require('../config/config');
+
+// Storage
+const subscribedSymbols = new Set(); // symbols the socket should carry, kept across reconnects
+let socket = null;
+let onTick = null;
+let requestId = 0;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let lastMessageTime = 0;
+let stopped = true;
+
+function getStreamName(symbol) {
+  return `${symbol.toLowerCase()}usdt@ticker`;
+}
+
+// Send a SUBSCRIBE / UNSUBSCRIBE request for a batch of symbols
+function sendSubscription(method, symbols) {
+  if (!socket || socket.readyState !== WebSocket.OPEN || symbols.length === 0) return;
+
+  socket.send(JSON.stringify({
+    method,
+    params: symbols.map(getStreamName),
+    id: ++requestId
+  }));
+}
+
+// Turn a 24hr ticker event into the realtimePrices shape
+function parseTicker(message) {
+  // Combined-stream endpoints wrap the event as { stream, data }
+  const event = message.data || message;
+  if (event.e !== '24hrTicker' || typeof event.s !== 'string' || !event.s.endsWith('USDT')) return null;
+
+  const price = parseFloat(event.c);
+  if (!Number.isFinite(price) || price <= 0) return null;
+
+  return {
+    symbol: event.s.slice(0, -'USDT'.length),
+    data: {
+      price,
+      change24h: parseFloat(event.P).toFixed(2),
+      volume24h: parseFloat(event.q),
+      timestamp: Date.now(),
+      source: 'binance-stream'
+    }
+  };
+}
+
+function handleMessage(raw) {
+  lastMessageTime = Date.now();
+
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return;
+  }
+
+  if (message.error) {
+    console.error('❌ Price stream error response:', message.error.msg || message.error);
+    return;
+  }
+
+  const tick = parseTicker(message);
+  if (tick && subscribedSymbols.has(tick.symbol) && onTick) {
+    onTick(tick.symbol, tick.data);
+  }
+}
+
+// Ping on an interval and drop the connection if nothing (pong or data) comes back in time
+function startHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(() => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+    if (Date.now() - lastMessageTime > config.PRICE_STREAM_HEARTBEAT_TIMEOUT) {
+      console.log('💔 Price stream heartbeat missed, reconnecting...');
+      socket.terminate();
+      return;
+    }
+    socket.ping();
+  }, config.PRICE_STREAM_HEARTBEAT_INTERVAL);
+}
+
+// Reconnect with exponential backoff, capped so an outage keeps being retried
+function scheduleReconnect() {
+  if (stopped || reconnectTimer) return;
+
+  const delay = Math.min(
+    config.PRICE_STREAM_RECONNECT_DELAY * 2 ** reconnectAttempts,
+    config.PRICE_STREAM_MAX_RECONNECT_DELAY
+  );
+  reconnectAttempts++;
+
+  console.log(`🔌 Price stream reconnecting in ${delay / 1000}s (attempt ${reconnectAttempts})...`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+}
+
+function connect() {
+  if (stopped) return;
+
+  const ws = new WebSocket(config.PRICE_STREAM_URL);
+  socket = ws;
+
+  ws.on('open', () => {
+    reconnectAttempts = 0;
+    lastMessageTime = Date.now();
+    console.log(`🔌 Price stream connected (${subscribedSymbols.size} symbols)`);
+
+    // Resubscribe everything after every (re)connect
+    sendSubscription('SUBSCRIBE', Array.from(subscribedSymbols));
+    startHeartbeat();
+  });
+
+  ws.on('message', handleMessage);
+  ws.on('pong', () => {
+    lastMessageTime = Date.now();
+  });
+
+  ws.on('error', (error) => {
+    console.error('❌ Price stream error:', error.message);
+  });
+
+  ws.on('close', () => {
+    if (socket === ws) {
+      socket = null;
+      clearInterval(heartbeatTimer);
+      console.log('🔌 Price stream disconnected');
+      scheduleReconnect();
+    }
+  });
+}
+
+// Replace the streamed symbol set, subscribing and unsubscribing only the difference
+function setStreamSymbols(symbols) {
+  const next = new Set(symbols.map(symbol => symbol.toUpperCase()));
+  const added = Array.from(next).filter(symbol => !subscribedSymbols.has(symbol));
+  const removed = Array.from(subscribedSymbols).filter(symbol => !next.has(symbol));
+
+  removed.forEach(symbol => subscribedSymbols.delete(symbol));
+  added.forEach(symbol => subscribedSymbols.add(symbol));
+
+  sendSubscription('UNSUBSCRIBE', removed);
+  sendSubscription('SUBSCRIBE', added);
+}
+
+// True while the socket is open and has delivered data recently; callers poll REST otherwise
+function isStreamHealthy() {
+  return Boolean(socket) &&
+    socket.readyState === WebSocket.OPEN &&
+    Date.now() - lastMessageTime < config.PRICE_STREAM_HEARTBEAT_TIMEOUT;
+}
+
+// Open the stream for the given symbols; handler(symbol, data) is called for every tick
+function startPriceStream(symbols, handler) {
+  onTick = handler;
+  stopped = false;
+  setStreamSymbols(symbols);
+  connect();
+
+  console.log(`🔌 Price stream starting (${config.PRICE_STREAM_URL})...`);
+}
+
+function stopPriceStream() {
+  stopped = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  clearInterval(heartbeatTimer);
+  if (socket) {
+    socket.terminate();
+    socket = null;
+  }
+}
+
+module.exports = {
+  startPriceStream,
+  stopPriceStream,
+  setStreamSymbols,
+  isStreamHealthy
+};
@@ -0,0 +1,48 @@
+// Storage Service - File-backed JSON persistence for bot state
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const DATA_DIR = path.resolve(__dirname, '..', config.DATA_DIR || 'data');
+
+function getFilePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+// Load a named JSON document, falling back to defaults when missing or unreadable
+function load(name, defaults = {}) {
+  const filePath = getFilePath(name);
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      return defaults;
+    }
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : defaults;
+  } catch (error) {
+    console.error(`❌ Failed to load ${name} from storage:`, error.message);
+    return defaults;
+  }
+}
+
+// Persist a named JSON document (write to temp file, then rename so a crash never leaves a partial file)
+function save(name, data) {
+  const filePath = getFilePath(name);
+  const tempPath = `${filePath}.tmp`;
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to save ${name} to storage:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  load,
+  save
+};
@@ -0,0 +1,255 @@
+// Symbol Resolver Service - Map tickers, coin names and contract addresses to CoinGecko coins
+const httpScheduler = require('./httpScheduler');
+const config = require('../config/config');
+const storage = require('./storage');
+
+const COIN_LIST_KEY = 'coinList';
+const CHOICES_KEY = 'symbolChoices';
+const DEFAULTS_KEY = 'symbolDefaults';
+
+// Storage
+let coinList = { fetchedAt: 0, coins: [] }; // [{ id, symbol, name, platforms }] from /coins/list
+const coinsBySymbol = new Map(); // lowercased ticker -> [coins]
+const coinsById = new Map();
+const chatChoices = {}; // per-chat { TICKER: coinId } picked from ambiguous matches
+const defaultChoices = {}; // TICKER -> { coinId, rankedAt } when one coin clearly dominates by market cap
+let refreshPromise = null;
+
+function indexCoinList() {
+  coinsBySymbol.clear();
+  coinsById.clear();
+  coinList.coins.forEach(coin => {
+    const key = coin.symbol.toLowerCase();
+    if (!coinsBySymbol.has(key)) {
+      coinsBySymbol.set(key, []);
+    }
+    coinsBySymbol.get(key).push(coin);
+    coinsById.set(coin.id, coin);
+  });
+}
+
+// Restore the cached coin list, per-chat choices and market-cap leaders, refreshing the list in the background when stale
+function loadSymbolResolver() {
+  coinList = storage.load(COIN_LIST_KEY, coinList);
+  indexCoinList();
+  Object.assign(chatChoices, storage.load(CHOICES_KEY, {}));
+  Object.assign(defaultChoices, storage.load(DEFAULTS_KEY, {}));
+
+  console.log(`💾 Loaded ${coinList.coins.length} coins and symbol choices for ${Object.keys(chatChoices).length} chat(s) from storage`);
+
+  if (Date.now() - coinList.fetchedAt >= config.COIN_LIST_REFRESH_INTERVAL) {
+    refreshCoinList();
+  }
+  setInterval(refreshCoinList, config.COIN_LIST_REFRESH_INTERVAL);
+}
+
+// Fetch the full CoinGecko coin list (with contract addresses); concurrent callers share one request
+function refreshCoinList() {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = httpScheduler.get(`${config.COINGECKO_API}/coins/list`, {
+    params: { include_platform: true },
+    timeout: 30000
+  }).then(response => {
+    if (!Array.isArray(response.data) || response.data.length === 0) {
+      throw new Error('Empty coin list');
+    }
+
+    coinList = {
+      fetchedAt: Date.now(),
+      coins: response.data.map(({ id, symbol, name, platforms }) => ({ id, symbol, name, platforms: platforms || {} }))
+    };
+    indexCoinList();
+    pruneDefaultChoices();
+    storage.save(COIN_LIST_KEY, coinList);
+    console.log(`✅ Coin list refreshed: ${coinList.coins.length} coins`);
+  }).catch(error => {
+    console.error('❌ Failed to refresh coin list:', error.message);
+  }).finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+}
+
+// Drop market-cap leaders whose coin is gone from the list; the rest are re-ranked as they go stale
+function pruneDefaultChoices() {
+  const removed = Object.keys(defaultChoices).filter(ticker => !coinsById.has(defaultChoices[ticker].coinId));
+  if (removed.length === 0) return;
+
+  removed.forEach(ticker => delete defaultChoices[ticker]);
+  storage.save(DEFAULTS_KEY, defaultChoices);
+}
+
+function isContractAddress(query) {
+  // EVM hex, or base58 (Solana and friends). Commands may have upper-cased a base58 address, which
+  // turns its i, o and l into letters base58 leaves out, so an all-caps form is accepted as well.
+  return /^0x[a-fA-F0-9]{40}$/.test(query) ||
+    /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(query) ||
+    /^[1-9A-Z]{32,44}$/.test(query);
+}
+
+function findByContract(query) {
+  const address = query.toLowerCase();
+  return coinList.coins.filter(coin =>
+    Object.values(coin.platforms).some(contract => contract && contract.toLowerCase() === address)
+  );
+}
+
+// Coins matching a query: contract address first, then exact ticker, then exact name or id.
+// Long names and ids can look like base58, so a query no contract matches is searched by name too.
+function findCandidates(query) {
+  if (isContractAddress(query)) {
+    const byContract = findByContract(query);
+    if (byContract.length > 0) return byContract;
+  }
+
+  const lower = query.toLowerCase();
+  const bySymbol = coinsBySymbol.get(lower);
+  if (bySymbol) return bySymbol;
+
+  return coinList.coins.filter(coin => coin.name.toLowerCase() === lower || coin.id === lower);
+}
+
+// Attach USD market caps and sort largest first; coins CoinGecko has no market data for are dropped
+async function rankByMarketCap(candidates) {
+  const response = await httpScheduler.get(`${config.COINGECKO_API}/coins/markets`, {
+    params: {
+      vs_currency: 'usd',
+      ids: candidates.slice(0, 100).map(coin => coin.id).join(','),
+      per_page: 100
+    },
+    timeout: 8000
+  });
+
+  const marketCaps = new Map((response.data || []).map(market => [market.id, market.market_cap]));
+  return candidates
+    .filter(coin => marketCaps.get(coin.id) > 0)
+    .map(coin => ({ ...coin, marketCap: marketCaps.get(coin.id) }))
+    .sort((a, b) => b.marketCap - a.marketCap);
+}
+
+// CoinGecko id for a ticker without a network call: the chat's own choice, the curated SYMBOL_MAP,
+// the market-cap leader found by an earlier resolveSymbol, or the only coin using that ticker
+function getCoinId(symbol, chatId = null) {
+  const ticker = symbol.toUpperCase();
+  const choice = chatId !== null ? chatChoices[chatId]?.[ticker] : null;
+  if (choice) return choice;
+  if (config.SYMBOL_MAP[ticker]) return config.SYMBOL_MAP[ticker];
+  if (defaultChoices[ticker]) return defaultChoices[ticker].coinId;
+
+  const matches = coinsBySymbol.get(ticker.toLowerCase()) || [];
+  return matches.length === 1 ? matches[0].id : null;
+}
+
+// Whether a coin is the one the shared feeds, ticks and candles track under this ticker
+function isSharedCoin(symbol, coinId) {
+  return !coinId || coinId === getCoinId(symbol);
+}
+
+// Resolve what a user typed. Returns one of
+//   { status: 'resolved', symbol, coin }        coin may be null when the coin list is unavailable
+//   { status: 'ambiguous', symbol, candidates } candidates ranked by market cap
+//   { status: 'not_found' }
+async function resolveSymbol(query, chatId) {
+  if (coinList.coins.length === 0) {
+    await refreshCoinList();
+  }
+
+  const trimmed = query.trim();
+  const ticker = trimmed.toUpperCase();
+
+  // Without a coin list there is nothing to check against, so trust the ticker as before
+  if (coinList.coins.length === 0) {
+    return { status: 'resolved', symbol: ticker, coin: null };
+  }
+
+  // A market-cap leader ranked within the refresh interval is reused rather than ranked again
+  const defaultChoice = defaultChoices[ticker];
+  const freshLeader = defaultChoice && Date.now() - defaultChoice.rankedAt < config.COIN_LIST_REFRESH_INTERVAL
+    ? defaultChoice.coinId
+    : null;
+  const knownId = chatChoices[chatId]?.[ticker] || config.SYMBOL_MAP[ticker] || freshLeader;
+  if (knownId) {
+    return { status: 'resolved', symbol: ticker, coin: coinsById.get(knownId) || { id: knownId, symbol: ticker, name: ticker } };
+  }
+
+  const candidates = findCandidates(trimmed);
+  if (candidates.length === 0) return { status: 'not_found' };
+
+  // Addresses and names pin down a coin, so it's remembered as what its ticker means in this chat
+  const pinned = !coinsBySymbol.has(trimmed.toLowerCase());
+  const settle = (coin) => {
+    const symbol = coin.symbol.toUpperCase();
+    if (pinned) {
+      rememberChoice(chatId, symbol, coin.id);
+    } else {
+      setDefaultChoice(symbol, coin.id);
+    }
+    return { status: 'resolved', symbol, coin };
+  };
+
+  if (candidates.length === 1) return settle(candidates[0]);
+
+  let ranked;
+  try {
+    ranked = await rankByMarketCap(candidates);
+  } catch (error) {
+    console.error(`Error ranking ${ticker} matches by market cap:`, error.message);
+    ranked = candidates.map(coin => ({ ...coin, marketCap: null }));
+  }
+
+  if (ranked.length === 0) return { status: 'not_found' };
+
+  const [leader, runnerUp] = ranked;
+  if (!runnerUp || (leader.marketCap && leader.marketCap >= runnerUp.marketCap * config.SYMBOL_DOMINANCE_RATIO)) {
+    return settle(leader);
+  }
+
+  return { status: 'ambiguous', symbol: ticker, candidates: ranked.slice(0, config.SYMBOL_MAX_CHOICES) };
+}
+
+function setDefaultChoice(symbol, coinId) {
+  defaultChoices[symbol] = { coinId, rankedAt: Date.now() };
+  storage.save(DEFAULTS_KEY, defaultChoices);
+}
+
+function rememberChoice(chatId, symbol, coinId) {
+  if (!chatChoices[chatId]) {
+    chatChoices[chatId] = {};
+  }
+  chatChoices[chatId][symbol.toUpperCase()] = coinId;
+  storage.save(CHOICES_KEY, chatChoices);
+}
+
+// Forget a chat's choice for one ticker; returns false when it had none
+function forgetChoice(chatId, symbol) {
+  if (!chatChoices[chatId]?.[symbol.toUpperCase()]) return false;
+
+  delete chatChoices[chatId][symbol.toUpperCase()];
+  if (Object.keys(chatChoices[chatId]).length === 0) {
+    delete chatChoices[chatId];
+  }
+  storage.save(CHOICES_KEY, chatChoices);
+  return true;
+}
+
+function getChatChoices(chatId) {
+  return chatChoices[chatId] || {};
+}
+
+function getCoin(coinId) {
+  return coinsById.get(coinId) || null;
+}
+
+module.exports = {
+  loadSymbolResolver,
+  refreshCoinList,
+  getCoinId,
+  isSharedCoin,
+  resolveSymbol,
+  rememberChoice,
+  forgetChoice,
+  getChatChoices,
+  getCoin
+};
@@ -0,0 +1,48 @@
+// Symbol Universe Service - The set of coins the price feeds poll and stream, driven by user demand
+const config = require('../config/config');
+
+// Storage
+const symbolSources = []; // [{ name, getSymbols }] consulted on every refresh
+let trackedSymbols = [];
+
+// Register a function returning the symbols some feature currently needs prices for
+function registerSymbolSource(name, getSymbols) {
+  symbolSources.push({ name, getSymbols });
+}
+
+// Recompute the universe: configured core coins plus everything registered sources ask for.
+// Returns { symbols, added, removed } relative to the previous refresh.
+function refreshUniverse() {
+  const next = new Set(config.CORE_SYMBOLS.map(symbol => symbol.toUpperCase()));
+
+  symbolSources.forEach(({ name, getSymbols }) => {
+    try {
+      getSymbols().forEach(symbol => next.add(symbol.toUpperCase()));
+    } catch (error) {
+      console.error(`Error reading symbols from ${name}:`, error.message);
+    }
+  });
+
+  const symbols = Array.from(next).sort();
+  const added = symbols.filter(symbol => !trackedSymbols.includes(symbol));
+  const removed = trackedSymbols.filter(symbol => !next.has(symbol));
+
+  if (added.length > 0 || removed.length > 0) {
+    console.log(`🌐 Tracking ${symbols.length} symbols` +
+      (added.length > 0 ? ` (+${added.join(', ')})` : '') +
+      (removed.length > 0 ? ` (-${removed.join(', ')})` : ''));
+  }
+
+  trackedSymbols = symbols;
+  return { symbols, added, removed };
+}
+
+function getTrackedSymbols() {
+  return trackedSymbols;
+}
+
+module.exports = {
+  registerSymbolSource,
+  refreshUniverse,
+  getTrackedSymbols
+};
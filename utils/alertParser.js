@@ -0,0 +1,371 @@
+// Alert Parser - Turns /alert command arguments into alert definitions
+const { parseDuration } = require('./helpers');
+
+const PRICE_PATTERN = /^\$?(\d+(?:\.\d+)?)$/;
+const PERCENT_PATTERN = /^([+-])(\d+(?:\.\d+)?)%$/;
+const TRAIL_PATTERN = /^([+-])?(\d+(?:\.\d+)?)%$/;
+const PAIR_PATTERN = /^([A-Za-z0-9]{2,10})\/([A-Za-z0-9]{2,10})$/;
+const UNSIGNED_PERCENT_PATTERN = /^(\d+(?:\.\d+)?)%$/;
+
+// Rolling windows we can evaluate from the live price feed
+const SUPPORTED_WINDOWS = ['24h'];
+
+// Words that start the trailing options section of an /alert command
+const OPTION_KEYWORDS = ['repeat', 'expires', 'once', 'urgent', 'band', 'near'];
+
+// Compound rule syntax: "<symbol> > 70000 AND volume24h > 2x avg AND orderbook bearish"
+const COMPARISON_OPERATORS = ['>', '<', '>=', '<='];
+const CONDITION_FIELDS = ['price', 'volume24h', 'change24h', 'orderbook'];
+const ORDERBOOK_SENTIMENTS = ['strongly bullish', 'bullish', 'neutral', 'bearish', 'strongly bearish'];
+const COMPOUND_HELP = 'Example: /alert BTC > 70000 AND volume24h > 2x avg AND orderbook bearish';
+
+// Parse a single compound clause such as "> 70000", "volume24h > 2x avg" or "orderbook bearish"
+function parseCondition(clause) {
+  const tokens = clause.trim().split(/\s+/);
+  const field = COMPARISON_OPERATORS.includes(tokens[0]) ? 'price' : tokens.shift().toLowerCase();
+
+  if (field === 'orderbook') {
+    const sentiment = tokens.join(' ').toLowerCase();
+    if (!ORDERBOOK_SENTIMENTS.includes(sentiment)) {
+      return { error: `Unknown order book sentiment "${tokens.join(' ')}". Use: ${ORDERBOOK_SENTIMENTS.join(', ')}` };
+    }
+    return { field, sentiment };
+  }
+
+  if (!CONDITION_FIELDS.includes(field)) {
+    return { error: `Unknown condition "${clause.trim()}". ${COMPOUND_HELP}` };
+  }
+
+  const [op, valueToken, avgToken] = tokens;
+  if (!COMPARISON_OPERATORS.includes(op) || !valueToken) {
+    return { error: `Invalid condition "${clause.trim()}". ${COMPOUND_HELP}` };
+  }
+
+  if (field === 'volume24h' && /^\d+(?:\.\d+)?x$/i.test(valueToken)) {
+    if ((avgToken || '').toLowerCase() !== 'avg') {
+      return { error: `Volume multiples are relative to the 7-day average: volume24h ${op} ${valueToken} avg` };
+    }
+    return { field, op, multiple: parseFloat(valueToken) };
+  }
+
+  const value = parseFloat(valueToken.replace(/[$%]/g, ''));
+  if (!Number.isFinite(value) || tokens.length > 2) {
+    return { error: `Invalid condition "${clause.trim()}". ${COMPOUND_HELP}` };
+  }
+
+  return { field, op, value };
+}
+
+// Parse "<symbol> <clause> AND <clause> ..."; exactly one clause must be a price level
+function parseCompoundArgs(symbol, tokens) {
+  const clauses = tokens.slice(1).join(' ').split(/\s+and\s+/i);
+  const conditions = [];
+
+  for (const clause of clauses) {
+    const condition = parseCondition(clause);
+    if (condition.error) {
+      return condition;
+    }
+    conditions.push(condition);
+  }
+
+  const priceConditions = conditions.filter(condition => condition.field === 'price');
+  if (priceConditions.length !== 1) {
+    return { error: `Compound alerts need exactly one price condition. ${COMPOUND_HELP}` };
+  }
+
+  return {
+    symbol,
+    targetPrice: priceConditions[0].value,
+    priceOperator: priceConditions[0].op,
+    conditions: conditions.filter(condition => condition.field !== 'price')
+  };
+}
+
+// Parse "<symbol> trail <pct%>": unsigned or negative trails the high, positive trails the low
+function parseTrailingArgs(symbol, token) {
+  const match = TRAIL_PATTERN.exec(token || '');
+  if (!match || parseFloat(match[2]) <= 0 || parseFloat(match[2]) >= 100) {
+    return { error: `Invalid trail. Examples: /alert ${symbol} trail 5% (from high), /alert ${symbol} trail +5% (from low)` };
+  }
+
+  return {
+    symbol,
+    trailPercent: parseFloat(match[2]),
+    trailSide: match[1] === '+' ? 'low' : 'high'
+  };
+}
+
+// Parse "spread <symbol> <exchangeA> <exchangeB> <pct%>": fires when the two exchanges' prices
+// differ by at least pct% in either direction
+function parseSpreadArgs(tokens) {
+  const SPREAD_HELP = 'Example: /alert spread BTC binance kucoin 0.5%';
+  const [, symbolToken, exchangeA, exchangeB, thresholdToken] = tokens;
+
+  if (tokens.length !== 5 || !/^[A-Za-z0-9]{2,10}$/.test(symbolToken)) {
+    return { error: `Invalid spread alert. ${SPREAD_HELP}` };
+  }
+  if (exchangeA.toLowerCase() === exchangeB.toLowerCase()) {
+    return { error: 'A spread alert needs two different exchanges.' };
+  }
+
+  const match = UNSIGNED_PERCENT_PATTERN.exec(thresholdToken);
+  if (!match || parseFloat(match[1]) <= 0) {
+    return { error: `Invalid spread threshold. ${SPREAD_HELP}` };
+  }
+
+  return {
+    valueType: 'spread',
+    symbol: symbolToken.toUpperCase(),
+    exchanges: [exchangeA.toLowerCase(), exchangeB.toLowerCase()],
+    targetPrice: parseFloat(match[1])
+  };
+}
+
+// Parse "<symbol> <price>", "<symbol> <+/-pct%>", "<symbol> <window> <+/-pct%>", "<symbol> trail <pct%>",
+// a compound rule or a spread rule. "<base>/<quote>" in place of the symbol alerts on the ratio of two coins.
+function parseTargetArgs(tokens) {
+  if (tokens.length < 2) {
+    return { error: 'Please specify symbol and target. Example: /alert BTC 50000' };
+  }
+
+  if (tokens[0].toLowerCase() === 'spread') {
+    return parseSpreadArgs(tokens);
+  }
+
+  const symbol = tokens[0].toUpperCase();
+  const pairMatch = PAIR_PATTERN.exec(symbol);
+
+  if (COMPARISON_OPERATORS.includes(tokens[1]) || CONDITION_FIELDS.includes(tokens[1].toLowerCase())) {
+    if (pairMatch) {
+      return { error: 'Compound rules are only available for single coins, not ratios.' };
+    }
+    return parseCompoundArgs(symbol, tokens);
+  }
+
+  const definition = parseSingleTarget(symbol, tokens);
+  if (pairMatch && !definition.error) {
+    if (pairMatch[1] === pairMatch[2]) {
+      return { error: 'A ratio needs two different coins. Example: /alert ETH/BTC 0.05' };
+    }
+    return { ...definition, valueType: 'ratio', base: pairMatch[1], quote: pairMatch[2] };
+  }
+  return definition;
+}
+
+// Parse the target of a price, percentage, rolling-window or trailing alert
+function parseSingleTarget(symbol, tokens) {
+  const expectedLength = tokens[1].toLowerCase() === 'trail' || parseDuration(tokens[1]) ? 3 : 2;
+
+  if (tokens.length > expectedLength) {
+    return { error: `Unknown option "${tokens[expectedLength]}". Options: repeat [cooldown], expires <duration>, once per day, band <pct%>, near <pct%>, urgent` };
+  }
+
+  if (tokens[1].toLowerCase() === 'trail') {
+    return parseTrailingArgs(symbol, tokens[2]);
+  }
+
+  let window = null;
+  let targetToken = tokens[1];
+
+  if (tokens.length >= 3 && parseDuration(tokens[1])) {
+    window = tokens[1].toLowerCase();
+    targetToken = tokens[2];
+
+    if (!SUPPORTED_WINDOWS.includes(window)) {
+      return { error: `Unsupported window "${tokens[1]}". Supported windows: ${SUPPORTED_WINDOWS.join(', ')}` };
+    }
+  }
+
+  const percentMatch = PERCENT_PATTERN.exec(targetToken);
+  if (percentMatch) {
+    const percent = parseFloat(percentMatch[2]) * (percentMatch[1] === '-' ? -1 : 1);
+    if (percent === 0) {
+      return { error: 'Percentage target must be non-zero.' };
+    }
+    return { symbol, percent, window };
+  }
+
+  if (window) {
+    return { error: `Window alerts need a signed percentage. Example: /alert ${symbol} ${window} -8%` };
+  }
+
+  const priceMatch = PRICE_PATTERN.exec(targetToken);
+  if (!priceMatch) {
+    return { error: 'Invalid target. Use a price (50000) or a signed percentage (+5%, -10%).' };
+  }
+
+  return { symbol, targetPrice: parseFloat(priceMatch[1]) };
+}
+
+// Parse "repeat [cooldown]", "expires <duration>", "once per day", "band <pct%>", "near <pct%>" and "urgent" options
+function parseAlertOptions(tokens) {
+  const options = {};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i].toLowerCase();
+
+    if (token === 'repeat') {
+      options.repeat = true;
+      const cooldownMs = parseDuration(tokens[i + 1]);
+      if (cooldownMs) {
+        options.cooldownMs = cooldownMs;
+        i++;
+      }
+    } else if (token === 'expires') {
+      const expiresInMs = parseDuration(tokens[i + 1]);
+      if (!expiresInMs) {
+        return { error: 'Invalid expiry. Example: expires 24h' };
+      }
+      options.expiresInMs = expiresInMs;
+      i++;
+    } else if (token === 'once' && tokens[i + 1]?.toLowerCase() === 'per' && tokens[i + 2]?.toLowerCase() === 'day') {
+      options.repeat = true;
+      options.oncePerDay = true;
+      i += 2;
+    } else if (token === 'band') {
+      const match = UNSIGNED_PERCENT_PATTERN.exec(tokens[i + 1] || '');
+      if (!match || parseFloat(match[1]) <= 0) {
+        return { error: 'Invalid band. Example: repeat band 0.5% (price must move 0.5% back past the target to re-arm)' };
+      }
+      options.band = parseFloat(match[1]);
+      i++;
+    } else if (token === 'near') {
+      const match = UNSIGNED_PERCENT_PATTERN.exec(tokens[i + 1] || '');
+      if (!match || parseFloat(match[1]) <= 0) {
+        return { error: 'Invalid near distance. Example: near 1% (heads-up when price is within 1% of the target)' };
+      }
+      options.near = parseFloat(match[1]);
+      i++;
+    } else if (token === 'urgent') {
+      options.urgent = true;
+    } else {
+      return { error: `Unknown option "${tokens[i]}". Options: repeat [cooldown], expires <duration>, once per day, band <pct%>, near <pct%>, urgent` };
+    }
+  }
+
+  return options;
+}
+
+// Parse the full /alert argument string: target definition followed by optional options
+function parseAlertArgs(input) {
+  const tokens = (input || '').trim().split(/\s+/).filter(Boolean);
+  const optionsIndex = tokens.findIndex((token, index) => index > 0 && OPTION_KEYWORDS.includes(token.toLowerCase()));
+  const targetTokens = optionsIndex === -1 ? tokens : tokens.slice(0, optionsIndex);
+  const optionTokens = optionsIndex === -1 ? [] : tokens.slice(optionsIndex);
+
+  const definition = parseTargetArgs(targetTokens);
+  if (definition.error) {
+    return definition;
+  }
+
+  const options = parseAlertOptions(optionTokens);
+  if (options.error) {
+    return options;
+  }
+  if (options.band && !options.repeat) {
+    return { error: 'A re-arm band only applies to repeating alerts. Example: /alert BTC 70000 repeat band 0.5%' };
+  }
+  if (options.near && definition.valueType === 'spread') {
+    return { error: 'Near-target warnings are not available for spread alerts.' };
+  }
+
+  return { ...definition, ...options };
+}
+
+// Parse "/autoalerts set" arguments: "<pct%> <cooldown> <symbols...>" in any order, "all" clears the symbol list
+function parseAutoAlertSettings(tokens) {
+  const settings = {};
+
+  for (const token of tokens) {
+    const thresholdMatch = /^(\d+(?:\.\d+)?)%$/.exec(token);
+    const cooldownMs = parseDuration(token);
+
+    if (thresholdMatch) {
+      settings.threshold = parseFloat(thresholdMatch[1]);
+      if (settings.threshold <= 0) {
+        return { error: 'Threshold must be greater than 0%.' };
+      }
+    } else if (cooldownMs) {
+      settings.cooldown = cooldownMs;
+    } else if (token.toLowerCase() === 'all') {
+      settings.symbols = [];
+    } else if (/^[A-Za-z0-9]{2,10}$/.test(token)) {
+      settings.symbols = [...(settings.symbols || []), token.toUpperCase()];
+    } else {
+      return { error: `Unrecognized setting "${token}". Example: /autoalerts set 5% 30m BTC ETH SOL` };
+    }
+  }
+
+  if (Object.keys(settings).length === 0) {
+    return { error: 'Nothing to set. Example: /autoalerts set 5% 30m BTC ETH SOL' };
+  }
+
+  return settings;
+}
+
+// Parse "/obalert" arguments: "<symbol> [imbalance <pct%>] [spread <pct%>] [flip]"
+// With no triggers given, watch imbalance at the default threshold plus sentiment flips
+function parseOrderBookAlertArgs(tokens, defaults) {
+  const OB_HELP = 'Example: /obalert BTC imbalance 30% spread 0.2% flip';
+
+  if (tokens.length === 0 || !/^[A-Za-z0-9]{2,10}$/.test(tokens[0])) {
+    return { error: `Please specify a symbol. ${OB_HELP}` };
+  }
+
+  const watch = { symbol: tokens[0].toUpperCase() };
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i].toLowerCase();
+
+    if (token === 'imbalance' || token === 'spread') {
+      const match = /^(\d+(?:\.\d+)?)%$/.exec(tokens[i + 1] || '');
+      const value = match ? parseFloat(match[1]) : NaN;
+      if (!(value > 0) || (token === 'imbalance' && value >= 100)) {
+        return { error: `Invalid ${token} threshold. ${OB_HELP}` };
+      }
+      watch[token] = value;
+      i++;
+    } else if (token === 'flip' || token === 'flips') {
+      watch.flip = true;
+    } else {
+      return { error: `Unknown trigger "${tokens[i]}". ${OB_HELP}` };
+    }
+  }
+
+  if (watch.imbalance === undefined && watch.spread === undefined && !watch.flip) {
+    watch.imbalance = defaults.imbalance;
+    watch.flip = true;
+  }
+
+  return watch;
+}
+
+// Parse "/newswatch" arguments: "<symbol> [keyword|"quoted phrase"...]" or "<symbol> off"
+function parseNewsWatchArgs(input) {
+  const tokens = (input || '').match(/"[^"]+"|\S+/g) || [];
+  const NEWS_HELP = 'Example: /newswatch BTC ETF hack "spot approval"';
+
+  if (tokens.length === 0 || !/^[A-Za-z0-9]{2,10}$/.test(tokens[0])) {
+    return { error: `Please specify a symbol. ${NEWS_HELP}` };
+  }
+
+  const symbol = tokens[0].toUpperCase();
+  if (tokens.length === 2 && tokens[1].toLowerCase() === 'off') {
+    return { symbol, off: true };
+  }
+
+  const keywords = tokens.slice(1)
+    .map(token => token.replace(/^"|"$/g, '').trim())
+    .filter(Boolean);
+
+  return { symbol, keywords };
+}
+
+module.exports = {
+  parseAlertArgs,
+  parseNewsWatchArgs,
+  parseAutoAlertSettings,
+  parseOrderBookAlertArgs,
+  SUPPORTED_WINDOWS
+};
@@ -48,15 +48,42 @@ function getTimeAgoShort(date) {
   }
 }
 
-// Map symbol to CoinGecko ID
-function getCoinGeckoId(symbol, symbolMap) {
-  return symbolMap[symbol.toUpperCase()] || symbol.toLowerCase();
+// Parse a short duration such as 30s, 15m, 4h or 7d into milliseconds
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(s|m|h|d)$/i.exec((value || '').trim());
+  if (!match) return null;
+
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseFloat(match[1]) * units[match[2].toLowerCase()];
+}
+
+// Format milliseconds as a compact duration such as 45m, 6h or 2d 4h
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.round(ms / (1000 * 60)));
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  } else if (hours > 0) {
+    return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  } else {
+    return `${minutes}m`;
+  }
+}
+
+// Escape characters Telegram's legacy Markdown treats as entities, for text from outside sources
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`[])/g, '\\$1');
 }
 
 module.exports = {
   formatNumber,
   getTimeAgo,
   getTimeAgoShort,
-  getCoinGeckoId
+  parseDuration,
+  formatDuration,
+  escapeMarkdown
 };
 